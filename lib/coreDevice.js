@@ -1,6 +1,10 @@
 /**
  * Module dependencies.
  */
+var errors = require('./errors');
+var when = require('when');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
 
 
 /**
@@ -12,10 +16,31 @@ var device = module.exports = OrganiqCoreDevice;
  * Core Device Object
  *
  * One instance of OrganiqCoreDevice is created on each core node, providing
- * an interface to administrative functionality for the node.
+ * an interface to administrative functionality for the node. Because it is
+ * an ordinary device, the node can be managed remotely through any transport
+ * (subject to the node's authorization policy).
  *
  * The device is registered in the non-routed (empty) domain as ':core'.
  *
+ * Properties:
+ *  ConnectedDevices, KnownDevices, OfflineQueues - device information
+ *  Gateways    - registered gateways, with the local devices routed by each
+ *  Routes      - the routing table, with the priority and availability of
+ *                each route and whether it is the one in use for its domain
+ *  ParkedDevices - devices awaiting the gateway for their domain (strict mode)
+ *  Proxies     - connected device proxies, by device
+ *  Middleware  - names of the middleware in the stack, downstream order,
+ *                with the device pattern of each (if any) in brackets
+ *  Domains     - domains for which the node is authoritative
+ *  Uptime      - milliseconds since the node was created
+ *  HistorySeries, HistoryTracking - metric history (see lib/history)
+ *  Stats       - node statistics snapshot (see lib/stats)
+ *
+ * Events (NOTIFY), each with the affected deviceid or domain:
+ *  deviceRegistered, deviceDeregistered, deviceParked, gatewayRegistered
+ *
+ * Methods are described with invoke().
+ *
  * @param {Organiq} organiq The organiq node
  * @returns {OrganiqCoreDevice}
  * @constructor
@@ -25,42 +50,301 @@ function OrganiqCoreDevice(organiq) {
   if (!(this instanceof OrganiqCoreDevice)) {
     return new OrganiqCoreDevice(organiq);
   }
+  EventEmitter.call(this);
   this.organiq = organiq;
+
+  // Relay node events as device-originated notifications.
+  var self = this;
+  if (organiq && typeof organiq.on === 'function') {
+    nodeEvents.forEach(function(event) {
+      organiq.on(event, function(id) {
+        self.emit('notify', event, [id]);
+      });
+    });
+  }
 }
+util.inherits(OrganiqCoreDevice, EventEmitter);
+
+var nodeEvents = ['deviceRegistered', 'deviceDeregistered', 'deviceParked',
+  'gatewayRegistered'];
 
 device.prototype.get = function(property) {
   switch (property) {
     case 'ConnectedDevices':
       return this.organiq.getAttachedDeviceInfo();
+    case 'OfflineQueues':
+      return this.organiq.getOfflineQueueInfo();
+    case 'KnownDevices':
+      return this.organiq.getKnownDeviceInfo();
+    case 'Gateways':
+      return this.organiq.getGatewayInfo();
+    case 'Routes':
+      return this.organiq.getRouteInfo();
+    case 'Proxies':
+      return this.organiq.getProxyInfo();
+    case 'ParkedDevices':
+      return Object.keys(this.organiq.parked);
+    case 'Middleware':
+      return this.organiq.stack.map(function(layer) {
+        var name = layer.handle.name || '(anonymous)';
+        return layer.pattern ? name + ' [' + layer.pattern + ']' : name;
+      });
+    case 'Domains':
+      return this.organiq.domains;
+    case 'Uptime':
+      return Date.now() - this.organiq.startTime;
+    case 'HistorySeries':
+      return this.organiq.history.getSeriesInfo();
+    case 'HistoryTracking':
+      return this.organiq.history.rules;
+    case 'Stats':
+      return this.organiq.stats.snapshot();
     default:
-      throw Error('Unknown property \'' + property + '\'');
+      throw new errors.NotSupportedError(
+        'Unknown property \'' + property + '\'');
   }
 };
 
 device.prototype.set = function(property, value) {
   void(property);
   void(value);
-  throw Error('Not supported');
+  throw new errors.NotSupportedError();
 };
 
-device.prototype.invoke = function(method, params) {
-  void(method);
-  void(params);
-  throw Error('Not supported');
+/**
+ * Invoke an administrative method.
+ *
+ * DeregisterDevice  { deviceid }
+ * DropProxy         { deviceid, proxyid }
+ * RegisterGateway   { domain, via, priority }
+ * DeregisterGateway { domain, via }
+ * QueryHistory      { deviceid, metric, from, to, interval, limit }
+ * TrackHistory      { deviceid, metric }
+ * UntrackHistory    { deviceid, metric }
+ * ClearHistory      { deviceid, metric }
+ *
+ * DeregisterDevice forcibly removes a device registration, and DropProxy
+ * disconnects a proxy (identified by the `proxyid` given in Proxies).
+ * Gateways are connections to other nodes, so a gateway cannot be created
+ * remotely; RegisterGateway instead makes the gateway already registered for
+ * the `via` domain the gateway for another domain as well, with an optional
+ * priority among the gateways for that domain. DeregisterGateway removes every
+ * gateway for the domain or, if `via` is given, only the one in use for the
+ * `via` domain.
+ *
+ * Every method other than QueryHistory changes the node or its history, so
+ * remote clients may use them only if authenticated and authorized for the
+ * 'ADMIN' action on ':core' by the node's policy (see Organiq.authorize()).
+ * They are refused if the node has no policy. Remote clients may query the
+ * history only of devices they may GET. Requests made within the process
+ * (with no transport) are always allowed.
+ *
+ * Parameters may be given by name or, in the order above, in an array.
+ */
+device.prototype.invoke = function(method, params, options) {
+  var organiq = this.organiq;
+  var history = organiq.history;
+  var names = methodParams[method];
+  if (!names) {
+    throw new errors.NotSupportedError(
+      'Unknown method \'' + method + '\'');
+  }
+  params = getParams(names, params);
+  var context = (options && options.context) || {};
+  if (adminMethods.indexOf(method) !== -1) {
+    return authorizeAdmin(organiq, context).then(function() {
+      return administer(organiq, method, params);
+    });
+  }
+  // QueryHistory
+  var deviceid = organiq.getDeviceAuthority(params.deviceid).deviceid;
+  var allowed = context.transport ?
+    organiq.authorize(context.principal, 'GET', deviceid) : when(true);
+  return allowed.then(function() {
+    return history.query(deviceid, params.metric, params);
+  });
+};
+
+// methods that change the node, requiring authorization of remote clients
+var adminMethods = ['DeregisterDevice', 'DropProxy', 'RegisterGateway',
+  'DeregisterGateway', 'TrackHistory', 'UntrackHistory', 'ClearHistory'];
+
+function authorizeAdmin(organiq, context) {
+  if (!context.transport) {
+    return when.resolve(true);
+  }
+  var auth = organiq.auth;
+  if (!context.principal || !auth || typeof auth.authorize !== 'function') {
+    return when.reject(new errors.UnauthorizedError(
+      'Not authorized to administer the node.',
+      { status: 403, deviceid: ':core' }));
+  }
+  return organiq.authorize(context.principal, 'ADMIN', ':core');
+}
+
+function administer(organiq, method, params) {
+  switch (method) {
+    case 'DeregisterDevice':
+      return organiq.deregister(params.deviceid).then(function() {
+        return true;
+      });
+    case 'DropProxy':
+      return dropProxy(organiq, params.deviceid, params.proxyid);
+    case 'RegisterGateway':
+      return registerGateway(organiq, params.domain, params.via,
+        params.priority);
+    case 'DeregisterGateway':
+      return deregisterGateway(organiq, params.domain, params.via);
+    case 'TrackHistory':
+      organiq.history.track(params.deviceid, params.metric);
+      return true;
+    case 'UntrackHistory':
+      organiq.history.untrack(params.deviceid, params.metric);
+      return true;
+    case 'ClearHistory':
+      organiq.history.clear(params.deviceid, params.metric);
+      return true;
+  }
+}
+
+// parameter names of each method, in order
+var methodParams = {
+  DeregisterDevice: ['deviceid'],
+  DropProxy: ['deviceid', 'proxyid'],
+  RegisterGateway: ['domain', 'via', 'priority'],
+  DeregisterGateway: ['domain', 'via'],
+  QueryHistory: ['deviceid', 'metric', 'from', 'to', 'interval', 'limit'],
+  TrackHistory: ['deviceid', 'metric'],
+  UntrackHistory: ['deviceid', 'metric'],
+  ClearHistory: ['deviceid', 'metric']
 };
 
+function getParams(names, params) {
+  if (!Array.isArray(params)) {
+    return params || {};
+  }
+  var byName = {};
+  names.forEach(function(name, i) { byName[name] = params[i]; });
+  return byName;
+}
+
+function dropProxy(organiq, deviceid, proxyid) {
+  deviceid = organiq.getDeviceAuthority(deviceid).deviceid;
+  var proxies = organiq.proxies[deviceid] || [];
+  for (var i = 0; i < proxies.length; i++) {
+    if (proxies[i].proxyid === String(proxyid)) {
+      organiq.disconnect(proxies[i]);
+      return true;
+    }
+  }
+  throw new errors.NotConnectedError(
+    'No proxy \'' + proxyid + '\' is connected to \'' + deviceid + '\'.',
+    { deviceid: deviceid });
+}
+
+// Find the gateway in use for a domain given as `via`.
+function getGateway(organiq, via) {
+  var gateway = organiq.gateways[via.toLowerCase()];
+  if (!gateway) {
+    throw new errors.NotConnectedError(
+      'No gateway is registered for \'' + via + '\'.');
+  }
+  return gateway;
+}
+
+function registerGateway(organiq, domain, via, priority) {
+  var gateway = getGateway(organiq, via);
+  if (organiq.routes.find(domain, gateway)) {
+    throw new errors.ValidationFailedError(
+      'The gateway is already registered for \'' + domain + '\'.',
+      { field: 'params.domain' });
+  }
+  organiq.registerGateway(domain, gateway, { priority: priority });
+  return true;
+}
+
+function deregisterGateway(organiq, domain, via) {
+  var gateway = via ? getGateway(organiq, via) : undefined;
+  var routed = organiq.routes.routes.some(function(route) {
+    return route.domain === domain.toLowerCase() &&
+      (!gateway || route.gateway === gateway);
+  });
+  if (!routed) {
+    throw new errors.NotConnectedError(
+      'No gateway is registered for \'' + domain + '\'.');
+  }
+  return organiq.deregisterGateway(domain, gateway);
+}
+
 device.prototype.subscribe = function(event) {
   void(event);
-  throw Error('Not supported');
+  throw new errors.NotSupportedError();
 };
 
 device.prototype.describe = function(property) {
   void(property);
+  var time = { type: ['number', 'string'] };
+  var series = {
+    deviceid: { type: 'string', required: true },
+    metric: { type: 'string' }
+  };
+  var required = function(type) { return { type: type, required: true }; };
+  var changed = function(name) {
+    var params = {};
+    params[name] = { type: 'string' };
+    return { params: params };
+  };
   return {
-    methods: {},
-    events: {},
+    methods: {
+      'DeregisterDevice': { params: { deviceid: required('string') } },
+      'DropProxy': { params: {
+        deviceid: required('string'),
+        proxyid: required(['string', 'number'])
+      } },
+      'RegisterGateway': { params: {
+        domain: required('string'),
+        via: required('string'),
+        priority: { type: 'number' }
+      } },
+      'DeregisterGateway': { params: {
+        domain: required('string'),
+        via: { type: 'string' }
+      } },
+      'QueryHistory': { params: {
+        deviceid: { type: 'string', required: true },
+        metric: { type: 'string', required: true },
+        from: time,
+        to: time,
+        interval: { type: 'number', minimum: 1 },
+        limit: { type: 'integer', minimum: 1 }
+      } },
+      'TrackHistory': { params: series },
+      'UntrackHistory': { params: series },
+      'ClearHistory': { params: {
+        deviceid: { type: 'string' },
+        metric: { type: 'string' }
+      } }
+    },
+    events: {
+      'deviceRegistered': changed('deviceid'),
+      'deviceDeregistered': changed('deviceid'),
+      'deviceParked': changed('deviceid'),
+      'gatewayRegistered': changed('domain')
+    },
     properties: {
-      'ConnectedDevices': { type: 'object' }
+      'ConnectedDevices': { type: 'object' },
+      'OfflineQueues': { type: 'object' },
+      'KnownDevices': { type: 'object' },
+      'Gateways': { type: 'array', readOnly: true },
+      'Routes': { type: 'array', readOnly: true },
+      'Proxies': { type: 'array', readOnly: true },
+      'ParkedDevices': { type: 'array', readOnly: true },
+      'Middleware': { type: 'array', readOnly: true },
+      'Domains': { type: 'array', readOnly: true },
+      'Uptime': { type: 'number', readOnly: true },
+      'HistorySeries': { type: 'array' },
+      'HistoryTracking': { type: 'array' },
+      'Stats': { type: 'object', readOnly: true }
     }
   };
 };
@@ -68,5 +352,5 @@ device.prototype.describe = function(property) {
 device.prototype.config = function(property, value) {
   void(property);
   void(value);
-  throw Error('Not supported');
+  throw new errors.NotSupportedError();
 };
@@ -0,0 +1,167 @@
+/**
+ * Organiq error types.
+ *
+ * Failures that callers may want to handle are reported with one of the
+ * error types defined here. Each has a stable `code` that identifies the kind
+ * of failure, and an HTTP `status` used by transports that speak HTTP:
+ *
+ *  NotConnected     (404) - the device is not connected
+ *  InvalidDeviceId  (400) - the device id is malformed or cannot be routed
+ *  NotSupported     (501) - the device does not support the request
+ *  Timeout          (504) - the request was not completed in time
+ *  Unauthorized     (401 or 403) - authentication or authorization failed
+ *  ValidationFailed (400) - the request does not match the device schema
+ *  RateLimited      (429) - too many requests were made in a period of time
+ *  LoopDetected     (508) - a forwarded request has returned to a node it
+ *                           already passed through, or has been forwarded
+ *                           too many times
+ *
+ * Errors may carry additional properties describing the failure (e.g., the
+ * `field` of a request that failed validation). These are preserved when
+ * errors are serialized to be sent to another node.
+ *
+ * var errors = require('./errors');
+ * throw new errors.NotConnectedError('Device \'foo\' is not connected.',
+ *   { deviceid: 'foo' });
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var util = require('util');
+
+/**
+ * Module exports.
+ */
+exports.OrganiqError = OrganiqError;
+exports.serialize = serialize;
+exports.deserialize = deserialize;
+exports.httpStatus = httpStatus;
+
+var types = {};   // error constructors, by code
+
+/**
+ * Base type of all Organiq errors.
+ *
+ * @param {String} code stable identifier of the kind of error
+ * @param {Number} status HTTP status code
+ * @param {String} message
+ * @param {Object=} details additional properties to set on the error
+ * @constructor
+ */
+function OrganiqError(code, status, message, details) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.message = message;
+  this.code = code;
+  this.status = status;
+  for (var key in details) {
+    if (details.hasOwnProperty(key) && typeof details[key] !== 'undefined') {
+      this[key] = details[key];
+    }
+  }
+}
+util.inherits(OrganiqError, Error);
+OrganiqError.prototype.name = 'OrganiqError';
+
+/**
+ * Get a representation of the error that can be serialized as JSON.
+ *
+ * @returns {Object}
+ */
+OrganiqError.prototype.toJSON = function() {
+  var json = {};
+  for (var key in this) {
+    if (this.hasOwnProperty(key) && key !== 'stack') {
+      json[key] = this[key];
+    }
+  }
+  return json;
+};
+
+/**
+ * Define a new error type.
+ *
+ * @param {String} code
+ * @param {Number} status default HTTP status code
+ * @param {String} defaultMessage
+ * @returns {function(String=, Object=)} constructor for the new error type
+ */
+function define(code, status, defaultMessage) {
+  var name = code + 'Error';
+  function OrganiqErrorType(message, details) {
+    if (!(this instanceof OrganiqErrorType)) {
+      return new OrganiqErrorType(message, details);
+    }
+    details = details || {};
+    OrganiqError.call(this, code, details.status || status,
+      message || defaultMessage, details);
+  }
+  util.inherits(OrganiqErrorType, OrganiqError);
+  OrganiqErrorType.prototype.name = name;
+  OrganiqErrorType.code = code;
+
+  types[code] = OrganiqErrorType;
+  exports[name] = OrganiqErrorType;
+  return OrganiqErrorType;
+}
+
+define('NotConnected', 404, 'Device is not connected.');
+define('InvalidDeviceId', 400, 'Invalid device id.');
+define('NotSupported', 501, 'Not supported.');
+define('Timeout', 504, 'Request timed out.');
+define('Unauthorized', 401, 'Not authorized.');
+define('ValidationFailed', 400, 'Request validation failed.');
+define('RateLimited', 429, 'Too many requests.');
+define('LoopDetected', 508, 'Forwarding loop detected.');
+
+/**
+ * Convert an error to a form that can be sent to another node as JSON.
+ *
+ * @param {Error|String} err
+ * @returns {Object} an object with `message` and (for Organiq errors) `code`
+ *  and `status` properties, along with any additional error properties.
+ */
+function serialize(err) {
+  if (err instanceof OrganiqError) {
+    return err.toJSON();
+  }
+  return { message: (err instanceof Error) ? err.message : String(err) };
+}
+
+/**
+ * Re-create an error received from another node.
+ *
+ * @param {Object|String} json a value returned by serialize(), or (from
+ *  nodes that do not send structured errors) an error message
+ * @returns {Error} an error of the appropriate type, or a plain Error if the
+ *  code is not recognized.
+ */
+function deserialize(json) {
+  if (!json || typeof json !== 'object') {
+    return new Error(json);
+  }
+  var ErrorType = types[json.code];
+  if (!ErrorType) {
+    return new Error(json.message);
+  }
+  var details = {};
+  for (var key in json) {
+    if (json.hasOwnProperty(key) && key !== 'message' && key !== 'code') {
+      details[key] = json[key];
+    }
+  }
+  return new ErrorType(json.message, details);
+}
+
+/**
+ * Get the HTTP status code appropriate for an error.
+ *
+ * @param {Error} err
+ * @returns {Number} the error's status, or 500 if it has none
+ */
+function httpStatus(err) {
+  return (err && typeof err.status === 'number') ? err.status : 500;
+}
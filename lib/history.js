@@ -0,0 +1,426 @@
+/**
+ * Module dependencies.
+ */
+var when = require('when');
+var debug = require('debug')('organiq:history');
+var errors = require('./errors');
+var pattern = require('./pattern');
+
+/**
+ * Organiq metric history.
+ */
+module.exports = History;
+
+var DEFAULT_CAPACITY = 1000;  // samples kept per series
+var COLLECTION = 'history';   // storage collection holding saved series
+
+/*
+ * Time-series history of device metrics.
+ *
+ * History is recorded only for the devices and metrics that have been chosen
+ * with track() (or the `track` option). Each series (a metric of a device)
+ * is kept in a ring buffer holding the most recent samples; when it is full,
+ * the oldest sample is discarded to make room for a new one.
+ *
+ * Device ids given to track() are matched against fully-qualified device ids
+ * (e.g., 'thermostats:*' or '.:boiler'), and both device ids and metric names
+ * may be wildcard patterns.
+ *
+ * If `persist` is set, series are saved in the storage adapter (in the
+ * 'history' collection), and reloaded by load().
+ *
+ * var history = new History({ track: [ { deviceid: '*', metric: 'temp*' } ] });
+ * history.record('.:boiler', 'temperature', 72, Date.now());
+ * history.query('.:boiler', 'temperature', { from: -3600000, interval: 60000 });
+ *
+ * @param {Object=} options
+ * @param {Number=} options.capacity maximum number of samples kept for each
+ *  series. Default is 1000.
+ * @param {Array<{deviceid: String, metric: String}>=} options.track device
+ *  and metric patterns for which history is recorded.
+ * @param {Boolean=} options.persist if true, series are saved in storage.
+ * @param {Object=} storage storage adapter used to save series
+ * @returns {History}
+ * @constructor
+ * @private
+ */
+function History(options, storage) {
+  if (!(this instanceof History)) {
+    return new History(options, storage);
+  }
+  options = options || {};
+
+  this.capacity = options.capacity || DEFAULT_CAPACITY;
+  this.storage = options.persist ? (storage || null) : null;
+  this.rules = [];    // tracked { deviceid, metric } patterns
+  this.series = {};   // RingBuffer objects, by deviceid and metric
+
+  var self = this;
+  (options.track || []).forEach(function(rule) {
+    self.track(rule.deviceid, rule.metric);
+  });
+}
+
+/**
+ * Record history for the given devices and metrics.
+ *
+ * @param {String} deviceid fully-qualified device id or pattern
+ * @param {String=} metric metric name or pattern. Default is all metrics.
+ */
+History.prototype.track = function(deviceid, metric) {
+  metric = metric || '*';
+  if (!this.findRule(deviceid, metric)) {
+    this.rules.push({ deviceid: deviceid, metric: metric });
+  }
+};
+
+/**
+ * Stop recording history for devices and metrics previously given to track().
+ *
+ * Samples already recorded are kept; use clear() to remove them.
+ *
+ * @param {String} deviceid
+ * @param {String=} metric
+ */
+History.prototype.untrack = function(deviceid, metric) {
+  var rule = this.findRule(deviceid, metric || '*');
+  if (rule) {
+    this.rules.splice(this.rules.indexOf(rule), 1);
+  }
+};
+
+History.prototype.findRule = function(deviceid, metric) {
+  for (var i = 0; i < this.rules.length; i++) {
+    var rule = this.rules[i];
+    if (rule.deviceid === deviceid && rule.metric === metric) {
+      return rule;
+    }
+  }
+  return null;
+};
+
+/**
+ * Determine whether history is recorded for a device metric.
+ *
+ * @param {String} deviceid
+ * @param {String} metric
+ * @returns {Boolean}
+ */
+History.prototype.isTracked = function(deviceid, metric) {
+  return this.rules.some(function(rule) {
+    return pattern.matches(rule.deviceid, deviceid) &&
+      pattern.matches(rule.metric, metric);
+  });
+};
+
+/**
+ * Record a metric sample, if history is tracked for the metric.
+ *
+ * @param {String} deviceid
+ * @param {String} metric
+ * @param {*} value
+ * @param {Number=} timestamp time of the sample. Default is now.
+ * @returns {Boolean} true if the sample was recorded
+ */
+History.prototype.record = function(deviceid, metric, value, timestamp) {
+  if (!this.isTracked(deviceid, metric)) {
+    return false;
+  }
+  var deviceSeries = this.series[deviceid] = this.series[deviceid] || {};
+  var buffer = deviceSeries[metric];
+  if (!buffer) {
+    buffer = deviceSeries[metric] = new RingBuffer(this.capacity);
+  }
+  buffer.push({ timestamp: timestamp || Date.now(), value: value });
+  this.save(deviceid, metric);
+  return true;
+};
+
+/**
+ * @name HistoryQuery
+ * @property {Number|String=} from start of the time range (inclusive), as ms
+ *  since the epoch or an ISO 8601 string. A negative number is relative to
+ *  the current time (e.g., -3600000 for the last hour).
+ * @property {Number|String=} to end of the time range (inclusive), given as
+ *  for `from`.
+ * @property {Number=} interval if given, samples are downsampled into
+ *  intervals of this many milliseconds.
+ * @property {Number=} limit maximum number of (most recent) samples or
+ *  intervals returned.
+ */
+
+/**
+ * @name HistoryResult
+ * @property {String} deviceid
+ * @property {String} metric
+ * @property {Number} count number of samples in the time range
+ * @property {Number|null} min minimum numeric value in the time range
+ * @property {Number|null} max maximum numeric value in the time range
+ * @property {Number|null} avg average numeric value in the time range
+ * @property {Array<Object>} samples the samples in the time range, oldest
+ *  first, as `{ timestamp, value }`; or, if an interval was given, one entry
+ *  for each interval containing samples, as `{ timestamp, count, min, max,
+ *  avg }`, where the timestamp is the start of the interval.
+ */
+
+/**
+ * Query the history of a device metric.
+ *
+ * Aggregates (min, max, and avg) consider only numeric values; they are null
+ * if there are none.
+ *
+ * @param {String} deviceid
+ * @param {String} metric
+ * @param {HistoryQuery=} query
+ * @returns {HistoryResult}
+ */
+History.prototype.query = function(deviceid, metric, query) {
+  query = query || {};
+  var now = Date.now();
+  var from = parseTime(query.from, now, 'from');
+  var to = parseTime(query.to, now, 'to');
+  var interval = query.interval;
+  if (interval !== null && typeof interval !== 'undefined' &&
+      (typeof interval !== 'number' || isNaN(interval) || interval <= 0)) {
+    throw new errors.ValidationFailedError(
+      'Interval must be a positive number.', { field: 'interval' });
+  }
+
+  var buffer = this.series[deviceid] && this.series[deviceid][metric];
+  var samples = (buffer ? buffer.toArray() : []).filter(function(sample) {
+    return (from === null || sample.timestamp >= from) &&
+      (to === null || sample.timestamp <= to);
+  });
+  // Samples are kept in the order they were recorded, which is not
+  // necessarily the order in which they occurred.
+  samples.sort(function(a, b) { return a.timestamp - b.timestamp; });
+
+  var result = aggregate(samples);
+  result.deviceid = deviceid;
+  result.metric = metric;
+  result.samples = interval ? downsample(samples, interval) : samples;
+  if (query.limit > 0 && result.samples.length > query.limit) {
+    result.samples = result.samples.slice(-query.limit);
+  }
+  return result;
+};
+
+/**
+ * @name HistorySeriesInfo
+ * @property {String} deviceid
+ * @property {String} metric
+ * @property {Number} count number of samples held
+ * @property {Number|null} first timestamp of the oldest sample
+ * @property {Number|null} last timestamp of the newest sample
+ */
+
+/**
+ * Get information about the series for which history has been recorded.
+ *
+ * @returns {Array<HistorySeriesInfo>}
+ */
+History.prototype.getSeriesInfo = function() {
+  var info = [];
+  var series = this.series;
+  Object.keys(series).forEach(function(deviceid) {
+    Object.keys(series[deviceid]).forEach(function(metric) {
+      var samples = series[deviceid][metric].toArray();
+      var timestamps = samples.map(function(s) { return s.timestamp; });
+      info.push({
+        deviceid: deviceid,
+        metric: metric,
+        count: samples.length,
+        first: samples.length ? Math.min.apply(null, timestamps) : null,
+        last: samples.length ? Math.max.apply(null, timestamps) : null
+      });
+    });
+  });
+  return info;
+};
+
+/**
+ * Remove recorded history for a device (or one of its metrics), or for all
+ * devices.
+ *
+ * @param {String=} deviceid
+ * @param {String=} metric
+ */
+History.prototype.clear = function(deviceid, metric) {
+  var self = this;
+  var cleared = (typeof deviceid === 'undefined') ?
+    Object.keys(this.series) : [deviceid];
+  cleared.forEach(function(deviceid) {
+    if (metric && self.series[deviceid]) {
+      delete self.series[deviceid][metric];
+      self.save(deviceid, metric);
+      return;
+    }
+    delete self.series[deviceid];
+    if (self.storage) {
+      self.storage.remove(COLLECTION, deviceid).catch(logStorageFailure);
+    }
+  });
+};
+
+/**
+ * Load series saved in storage.
+ *
+ * Samples recorded before loading completes are kept along with the saved
+ * ones.
+ *
+ * @returns {Promise} a promise resolved when loading is complete
+ */
+History.prototype.load = function() {
+  if (!this.storage) {
+    return when.resolve();
+  }
+  var self = this;
+  return this.storage.list(COLLECTION).then(function(saved) {
+    Object.keys(saved).forEach(function(deviceid) {
+      var deviceSeries = self.series[deviceid] = self.series[deviceid] || {};
+      Object.keys(saved[deviceid]).forEach(function(metric) {
+        var buffer = new RingBuffer(self.capacity);
+        var existing = deviceSeries[metric];
+        saved[deviceid][metric].concat(existing ? existing.toArray() : [])
+          .forEach(function(sample) { buffer.push(sample); });
+        deviceSeries[metric] = buffer;
+      });
+    });
+  }).catch(logStorageFailure);
+};
+
+/**
+ * Save a series in storage, if history is persisted.
+ *
+ * @param {String} deviceid
+ * @param {String} metric
+ */
+History.prototype.save = function(deviceid, metric) {
+  if (!this.storage) {
+    return;
+  }
+  var buffer = this.series[deviceid] && this.series[deviceid][metric];
+  this.storage.update(COLLECTION, deviceid, function(saved) {
+    saved = saved || {};
+    if (buffer) {
+      saved[metric] = buffer.toArray();
+    } else {
+      delete saved[metric];
+    }
+    return saved;
+  }).catch(logStorageFailure);
+};
+
+/**
+ * Compute aggregates of a list of samples.
+ *
+ * @param {Array<{timestamp: Number, value: *}>} samples
+ * @returns {{count: Number, min: Number|null, max: Number|null,
+ *  avg: Number|null}}
+ */
+function aggregate(samples) {
+  var min = null, max = null, sum = 0, n = 0;
+  samples.forEach(function(sample) {
+    var value = sample.value;
+    if (typeof value !== 'number' || isNaN(value)) {
+      return;
+    }
+    min = (min === null || value < min) ? value : min;
+    max = (max === null || value > max) ? value : max;
+    sum += value;
+    n++;
+  });
+  return {
+    count: samples.length,
+    min: min,
+    max: max,
+    avg: n ? sum / n : null
+  };
+}
+
+/**
+ * Downsample a sorted list of samples into fixed intervals.
+ *
+ * Intervals are aligned to multiples of the interval since the epoch, and
+ * only intervals that contain samples are returned.
+ *
+ * @param {Array<{timestamp: Number, value: *}>} samples
+ * @param {Number} interval
+ * @returns {Array<{timestamp: Number, count: Number, min: Number|null,
+ *  max: Number|null, avg: Number|null}>}
+ */
+function downsample(samples, interval) {
+  var buckets = [];
+  var current = null;
+  samples.forEach(function(sample) {
+    var start = Math.floor(sample.timestamp / interval) * interval;
+    if (!current || current.timestamp !== start) {
+      current = { timestamp: start, samples: [] };
+      buckets.push(current);
+    }
+    current.samples.push(sample);
+  });
+  return buckets.map(function(bucket) {
+    var result = aggregate(bucket.samples);
+    result.timestamp = bucket.timestamp;
+    return result;
+  });
+}
+
+/**
+ * Convert a time given in a query to milliseconds since the epoch.
+ *
+ * @param {Number|String|undefined} time
+ * @param {Number} now
+ * @param {String} field name of the query field, for errors
+ * @returns {Number|null} the time, or null if none given
+ */
+function parseTime(time, now, field) {
+  if (time === null || typeof time === 'undefined' || time === '') {
+    return null;
+  }
+  var ms = time;
+  if (typeof time === 'string') {
+    ms = /^-?\d+$/.test(time) ? Number(time) : Date.parse(time);
+  }
+  if (typeof ms !== 'number' || isNaN(ms)) {
+    throw new errors.ValidationFailedError(
+      'Invalid time for \'' + field + '\'.', { field: field });
+  }
+  return (ms < 0) ? now + ms : ms;
+}
+
+function logStorageFailure(err) {
+  debug('Failed to update storage: ' + err.message);
+}
+
+/*
+ * Fixed-size buffer of the most recent items added to it.
+ *
+ * @param {Number} capacity
+ * @constructor
+ * @private
+ */
+function RingBuffer(capacity) {
+  this.capacity = capacity;
+  this.items = [];
+  this.start = 0;   // index of the oldest item, once the buffer is full
+}
+
+RingBuffer.prototype.push = function(item) {
+  if (this.items.length < this.capacity) {
+    this.items.push(item);
+  } else {
+    this.items[this.start] = item;
+    this.start = (this.start + 1) % this.capacity;
+  }
+};
+
+/**
+ * Get the items in the buffer, oldest first.
+ *
+ * @returns {Array}
+ */
+RingBuffer.prototype.toArray = function() {
+  return this.items.slice(this.start).concat(this.items.slice(0, this.start));
+};
@@ -0,0 +1,105 @@
+/**
+ * Access control (allow and deny list) middleware.
+ *
+ * Rejects requests that match a deny rule, or that match no allow rule (if
+ * any are given), with UnauthorizedError (403). Rules apply to requests in
+ * both directions, so they may also be used to stop devices from publishing
+ * (e.g., by denying PUT and NOTIFY from a device).
+ *
+ * A rule is a device id pattern, or an object that may give patterns for the
+ * device id, identifier, and principal, and a list of methods. A request
+ * matches a rule if it matches everything the rule gives. Patterns may use
+ * the wildcards `*` and `?` (see lib/pattern) or be lists of patterns.
+ *
+ * var app = organiq();
+ * app.use(organiq.middleware.accessControl({
+ *   allow: [ 'example.com:*', { principal: 'admin', deviceid: ':core' } ],
+ *   deny: [ { deviceid: 'example.com:*', identifier: '.config',
+ *             methods: ['CONFIG'] } ]
+ * }));
+ *
+ * Unlike the node's authorization policy, which is consulted by transports
+ * for requests from clients, these rules are applied to every request that
+ * passes through the stack.
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var when = require('when');
+var debug = require('debug')('organiq:access');
+var errors = require('../errors');
+var util = require('./util');
+
+/**
+ * Export access control middleware factory.
+ */
+module.exports = accessControl;
+
+/**
+ * @name AccessRule
+ * @property {String|Array<String>=} deviceid
+ * @property {String|Array<String>=} identifier
+ * @property {String|Array<String>=} principal name of the principal (see
+ *  util.principalName). Anonymous requests match no principal pattern.
+ * @property {Array<String>=} methods
+ */
+
+/**
+ * Create an access control middleware layer.
+ *
+ * @param {Object=} options
+ * @param {Array<AccessRule|String>=} options.allow if given, only requests
+ *  that match one of these rules are allowed.
+ * @param {Array<AccessRule|String>=} options.deny requests that match one of
+ *  these rules are rejected, even if they match an allow rule.
+ * @returns {function(OrganiqRequest, function)} middleware
+ */
+function accessControl(options) {
+  options = options || {};
+  var allow = options.allow ? options.allow.map(normalizeRule) : null;
+  var deny = (options.deny || []).map(normalizeRule);
+
+  /**
+   * Access control middleware handler.
+   *
+   * @param {OrganiqRequest} req
+   * @param {function} next
+   */
+  return function organiqAccessControl(req, next) {
+    var denied = deny.some(function(rule) {
+      return matchesRule(rule, req);
+    });
+    var allowed = !allow || allow.some(function(rule) {
+      return matchesRule(rule, req);
+    });
+    if (denied || !allowed) {
+      debug(req.method + ' ' + req.deviceid + ' denied by access rules');
+      return when.reject(new errors.UnauthorizedError(
+        req.method + ' is not allowed for \'' + req.deviceid + '\'.',
+        { status: 403, deviceid: req.deviceid }));
+    }
+    return next();
+  };
+}
+
+function normalizeRule(rule) {
+  return (typeof rule === 'string') ? { deviceid: rule } : rule;
+}
+
+/**
+ * Determine whether a request matches an access rule.
+ *
+ * @param {AccessRule} rule
+ * @param {OrganiqRequest} req
+ * @returns {Boolean}
+ */
+function matchesRule(rule, req) {
+  if (rule.methods && rule.methods.indexOf(req.method) === -1) {
+    return false;
+  }
+  return util.matchesAny(rule.deviceid, req.deviceid) &&
+    util.matchesAny(rule.identifier, req.identifier) &&
+    util.matchesAny(rule.principal, util.principalName(req.context.principal));
+}
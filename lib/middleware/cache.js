@@ -0,0 +1,219 @@
+/**
+ * Property and metric cache middleware.
+ *
+ * Records the last known value of every device property and metric that
+ * passes through the stack, along with the time it was recorded:
+ *  - metric values from device-originated PUT (with the device-supplied
+ *    timestamp, if any);
+ *  - property values from successful SET and GET requests.
+ *
+ * GET requests may be answered from the cache without contacting the device
+ * if the cached value is no older than `maxAge`. If the device is not
+ * connected, GET requests are answered with the last known value rather than
+ * failing. The value is returned as is, and the request context is marked with
+ * `stale`, the time the value was recorded (see, e.g., the Warning header
+ * sent by the Express transport).
+ *
+ * Cached values are saved in the node's storage adapter (in the 'values'
+ * collection), so the last known values survive a restart when persistent
+ * storage is used.
+ *
+ * var app = organiq();
+ * app.use(organiq.middleware.cache({ maxAge: 1000 }));
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var when = require('when');
+var debug = require('debug')('organiq:cache');
+
+/**
+ * Export cache middleware factory.
+ */
+module.exports = cache;
+
+var COLLECTION = 'values';  // storage collection holding cached values
+
+/**
+ * @name CacheEntry
+ * @property {*} value the last known value
+ * @property {Number} timestamp time the value was recorded (ms since epoch)
+ * @property {String} method the request by which the value was recorded
+ *  ('PUT', 'SET', or 'GET')
+ */
+
+/**
+ * Create a cache middleware layer.
+ *
+ * @param {Object=} options
+ * @param {Number|function(String, String): Number=} options.maxAge maximum
+ *  age (in milliseconds) of a cached value that may be used to answer a GET
+ *  request for a connected device. May be a function of deviceid and
+ *  property. Default is zero (GET requests for connected devices are always
+ *  passed to the device).
+ * @param {Boolean=} options.serveStale if true (the default), GET requests for
+ *  devices that are not connected are answered with the last known value.
+ * @param {Object=} options.storage storage adapter used to save cached values.
+ *  Default is the storage adapter of the node using the middleware.
+ * @returns {function(OrganiqRequest, function)} middleware
+ */
+function cache(options) {
+  options = options || {};
+  var maxAge = options.maxAge || 0;
+  var serveStale = options.serveStale !== false;
+
+  var storage = options.storage || null;
+
+  var entries = {};   // CacheEntry objects, by deviceid and identifier
+  var loading = null; // promise for completion of loading saved entries
+
+  /**
+   * Cache middleware handler.
+   *
+   * @param {OrganiqRequest} req
+   * @param {function} next
+   */
+  function organiqCache(req, next) {
+    load();
+    switch (req.method) {
+      case 'PUT':
+        record(req.deviceid, req.identifier, req.value, 'PUT', req.timestamp);
+        return next();
+      case 'SET':
+        return next().then(function(res) {
+          record(req.deviceid, req.identifier, req.value, 'SET');
+          return res;
+        });
+      case 'GET':
+        return loading.then(function() {
+          return get(req, next);
+        });
+      default:
+        return next();
+    }
+  }
+
+  /**
+   * Handle a GET request, answering it from the cache if possible.
+   */
+  function get(req, next) {
+    var entry = lookup(req.deviceid, req.identifier);
+    var age = getMaxAge(req.deviceid, req.identifier);
+    if (entry && (Date.now() - entry.timestamp) < age) {
+      debug('GET ' + req.deviceid + '.' + req.identifier + ' served from cache');
+      return when(entry.value);
+    }
+
+    var organiq = organiqCache.organiq;
+    return next().then(function(value) {
+      record(req.deviceid, req.identifier, value, 'GET');
+      return value;
+    }, function(err) {
+      var offline = organiq && !organiq.devices[req.deviceid];
+      if (entry && serveStale && offline) {
+        debug('GET ' + req.deviceid + '.' + req.identifier + ' served stale');
+        req.context.stale = entry.timestamp;
+        return entry.value;
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Load entries saved in storage, the first time the cache is used.
+   *
+   * Entries recorded before loading completes are newer than the saved ones,
+   * so take precedence.
+   */
+  function load() {
+    if (loading) {
+      return loading;
+    }
+    var organiq = organiqCache.organiq;
+    storage = storage || (organiq && organiq.storage) || null;
+    if (!storage) {
+      loading = when.resolve();
+      return loading;
+    }
+    loading = storage.list(COLLECTION).then(function(saved) {
+      Object.keys(saved).forEach(function(deviceid) {
+        var deviceEntries = entries[deviceid] = entries[deviceid] || {};
+        Object.keys(saved[deviceid]).forEach(function(identifier) {
+          if (!deviceEntries.hasOwnProperty(identifier)) {
+            deviceEntries[identifier] = saved[deviceid][identifier];
+          }
+        });
+      });
+    }).catch(logStorageFailure);
+    return loading;
+  }
+
+  function getMaxAge(deviceid, identifier) {
+    return (typeof maxAge === 'function') ? maxAge(deviceid, identifier) : maxAge;
+  }
+
+  function record(deviceid, identifier, value, method, timestamp) {
+    if (!entries[deviceid]) {
+      entries[deviceid] = {};
+    }
+    var entry = { value: value, timestamp: timestamp || Date.now(),
+                  method: method };
+
+    // Samples may arrive out of order (e.g., in a batch); keep the newest.
+    // Only device timestamps are compared with one another, as the device
+    // clock may not agree with ours.
+    var existing = lookup(deviceid, identifier);
+    if (method === 'PUT' && existing && existing.method === 'PUT' &&
+        existing.timestamp > entry.timestamp) {
+      return;
+    }
+    entries[deviceid][identifier] = entry;
+
+    if (storage) {
+      storage.update(COLLECTION, deviceid, function(saved) {
+        saved = saved || {};
+        saved[identifier] = entry;
+        return saved;
+      }).catch(logStorageFailure);
+    }
+  }
+
+  function lookup(deviceid, identifier) {
+    var deviceEntries = entries[deviceid];
+    return (deviceEntries && deviceEntries.hasOwnProperty(identifier)) ?
+      deviceEntries[identifier] : null;
+  }
+
+  /**
+   * Get the cached entry for a device property or metric.
+   *
+   * @param {String} deviceid
+   * @param {String} identifier
+   * @returns {CacheEntry|null}
+   */
+  organiqCache.get = lookup;
+
+  /**
+   * Remove cached values for a device, or for all devices.
+   *
+   * @param {String=} deviceid
+   */
+  organiqCache.clear = function(deviceid) {
+    var cleared = (typeof deviceid === 'undefined') ?
+      Object.keys(entries) : [deviceid];
+    cleared.forEach(function(deviceid) {
+      delete entries[deviceid];
+      if (storage) {
+        storage.remove(COLLECTION, deviceid).catch(logStorageFailure);
+      }
+    });
+  };
+
+  return organiqCache;
+}
+
+function logStorageFailure(err) {
+  debug('Failed to update storage: ' + err.message);
+}
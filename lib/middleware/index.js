@@ -0,0 +1,16 @@
+/**
+ * Middleware bundled with Organiq.
+ *
+ * Each export is a factory that accepts an options object and returns a
+ * middleware function suitable for Organiq.use().
+ *
+ * var organiq = require('organiq-core');
+ * var app = organiq();
+ * app.use(organiq.middleware.cache({ maxAge: 5000 }));
+ * app.use('thermostats:*', organiq.middleware.throttle({ interval: 1000 }));
+ */
+exports.cache = require('./cache');
+exports.logger = require('./logger');
+exports.rateLimit = require('./rateLimit');
+exports.accessControl = require('./accessControl');
+exports.throttle = require('./throttle');
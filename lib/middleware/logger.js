@@ -0,0 +1,119 @@
+/**
+ * Request logging middleware.
+ *
+ * Logs every request that passes through the stack, in either direction,
+ * once it has completed. Each entry gives the method, device, identifier,
+ * principal, and correlation id of the request, whether it succeeded, and how
+ * long the layers beyond the logger (and the device) took to handle it.
+ *
+ * var app = organiq();
+ * app.use(organiq.middleware.logger({ log: console.log }));
+ *
+ * Entries are written with the `debug` module (as 'organiq:log') unless a
+ * `log` function is given.
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var debug = require('debug')('organiq:log');
+var util = require('./util');
+
+/**
+ * Export logger middleware factory.
+ */
+module.exports = logger;
+
+/**
+ * @name LogEntry
+ * @property {String} direction 'downstream' (application-originated) or
+ *  'upstream' (device-originated)
+ * @property {String} method
+ * @property {String} deviceid
+ * @property {String|null} identifier
+ * @property {String|null} principal name of the principal (see util)
+ * @property {String|null} correlationId
+ * @property {Number} duration milliseconds taken to handle the request
+ * @property {Error|null} error the reason the request failed, if it did
+ */
+
+/**
+ * Create a logging middleware layer.
+ *
+ * @param {Object=} options
+ * @param {function(String, LogEntry)=} options.log function used to write
+ *  each entry. It is given the formatted entry and the entry itself.
+ * @param {function(LogEntry): String=} options.format function used to format
+ *  entries. The default gives a single line, e.g.,
+ *  'GET example.com:thermostat.mode 3ms ok (alice) [correlation id]'.
+ * @param {Array<String>=} options.methods request methods to log. Default is
+ *  all methods.
+ * @returns {function(OrganiqRequest, function)} middleware
+ */
+function logger(options) {
+  options = options || {};
+  var log = options.log || debug;
+  var format = options.format || formatEntry;
+  var methods = options.methods || null;
+
+  /**
+   * Logger middleware handler.
+   *
+   * @param {OrganiqRequest} req
+   * @param {function} next
+   */
+  return function organiqLogger(req, next) {
+    if (methods && methods.indexOf(req.method) === -1) {
+      return next();
+    }
+    var started = Date.now();
+    return next().then(function(res) {
+      write(req, started, null);
+      return res;
+    }, function(err) {
+      write(req, started, err);
+      throw err;
+    });
+  };
+
+  function write(req, started, err) {
+    var entry = {
+      direction: req.isApplicationOriginated() ? 'downstream' : 'upstream',
+      method: req.method,
+      deviceid: req.deviceid,
+      identifier: req.identifier,
+      principal: util.principalName(req.context.principal),
+      correlationId: req.context.correlationId,
+      duration: Date.now() - started,
+      error: err || null
+    };
+    try {
+      log(format(entry), entry);
+    } catch (e) {
+      debug('Failed to log request: ' + e);
+    }
+  }
+}
+
+/**
+ * Format a log entry as a single line.
+ *
+ * @param {LogEntry} entry
+ * @returns {String}
+ */
+function formatEntry(entry) {
+  var target = entry.deviceid +
+    (entry.identifier ? '.' + entry.identifier : '');
+  var outcome = entry.error ?
+    'failed: ' + (entry.error.message || entry.error) : 'ok';
+  var line = entry.method + ' ' + target + ' ' + entry.duration + 'ms ' +
+    outcome;
+  if (entry.principal) {
+    line += ' (' + entry.principal + ')';
+  }
+  if (entry.correlationId) {
+    line += ' [' + entry.correlationId + ']';
+  }
+  return line;
+}
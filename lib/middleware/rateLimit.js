@@ -0,0 +1,140 @@
+/**
+ * Rate limiting middleware.
+ *
+ * Limits the number of requests that may pass through the stack in a period
+ * of time. Requests are counted separately for each device or for each
+ * principal (or by any other key), and requests beyond the limit fail with
+ * RateLimitedError. Both application requests and device-originated PUT and
+ * NOTIFY are counted, so a device that floods the node with metrics is
+ * limited in the same way as a client that floods it with requests.
+ *
+ * var app = organiq();
+ * // at most 10 requests per second to (or from) each device
+ * app.use(organiq.middleware.rateLimit({ max: 10, window: 1000 }));
+ * // at most 100 SETs and INVOKEs per minute from each principal
+ * app.use(organiq.middleware.rateLimit({
+ *   by: 'principal', max: 100, window: 60000, methods: ['SET', 'INVOKE']
+ * }));
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var when = require('when');
+var debug = require('debug')('organiq:ratelimit');
+var errors = require('../errors');
+var util = require('./util');
+
+/**
+ * Export rate limit middleware factory.
+ */
+module.exports = rateLimit;
+
+/**
+ * Create a rate limiting middleware layer.
+ *
+ * Requests are counted in fixed windows of time, starting with the first
+ * request for each key.
+ *
+ * @param {Object=} options
+ * @param {Number=} options.max maximum number of requests allowed for each
+ *  key in each window. Default is 100.
+ * @param {Number=} options.window length of the window in milliseconds.
+ *  Default is one second.
+ * @param {String|function(OrganiqRequest): String=} options.by 'device' (the
+ *  default) to count requests for each device, 'principal' to count requests
+ *  for each principal, or a function giving the key for a request. Anonymous
+ *  requests are counted together when limiting by principal. Requests for
+ *  which the function returns null or undefined are not limited.
+ * @param {Array<String>=} options.methods request methods to limit. Default
+ *  is all methods.
+ * @returns {function(OrganiqRequest, function)} middleware
+ */
+function rateLimit(options) {
+  options = options || {};
+  var max = (typeof options.max === 'number') ? options.max : 100;
+  var window = options.window || 1000;
+  var getKey = getKeyFunction(options.by || 'device');
+  var methods = options.methods || null;
+
+  var counters = {};    // { start, count } for each key
+  var lastSweep = Date.now();
+
+  /**
+   * Rate limit middleware handler.
+   *
+   * @param {OrganiqRequest} req
+   * @param {function} next
+   */
+  function organiqRateLimit(req, next) {
+    if (methods && methods.indexOf(req.method) === -1) {
+      return next();
+    }
+    var key = getKey(req);
+    if (key === null || typeof key === 'undefined') {
+      return next();
+    }
+
+    var now = Date.now();
+    sweep(now);
+    var counter = counters[key];
+    if (!counter || now - counter.start >= window) {
+      counter = counters[key] = { start: now, count: 0 };
+    }
+    if (++counter.count > max) {
+      var retryAfter = counter.start + window - now;
+      debug('Rate limit exceeded for ' + key);
+      return when.reject(new errors.RateLimitedError(
+        'Rate limit exceeded for \'' + key + '\'.',
+        { deviceid: req.deviceid, retryAfter: retryAfter }));
+    }
+    return next();
+  }
+
+  // Forget counters whose windows have ended, so that keys seen once do not
+  // accumulate.
+  function sweep(now) {
+    if (now - lastSweep < window) {
+      return;
+    }
+    lastSweep = now;
+    Object.keys(counters).forEach(function(key) {
+      if (now - counters[key].start >= window) {
+        delete counters[key];
+      }
+    });
+  }
+
+  /**
+   * Forget all counts, or the count for a single key.
+   *
+   * @param {String=} key
+   */
+  organiqRateLimit.reset = function(key) {
+    if (typeof key === 'undefined') {
+      counters = {};
+    } else {
+      delete counters[key];
+    }
+  };
+
+  return organiqRateLimit;
+}
+
+function getKeyFunction(by) {
+  if (typeof by === 'function') {
+    return by;
+  }
+  switch (by) {
+    case 'device':
+      return function(req) { return req.deviceid; };
+    case 'principal':
+      return function(req) {
+        var name = util.principalName(req.context.principal);
+        return (name === null) ? '(anonymous)' : name;
+      };
+    default:
+      throw new TypeError('Invalid rate limit key \'' + by + '\'.');
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Metric throttling middleware.
+ *
+ * Reduces the volume of device-originated PUT messages passed upstream (to
+ * clients, or to the authoritative node) by dropping:
+ *  - values that are unchanged from the last value passed for the metric;
+ *  - values that arrive less than `interval` milliseconds after the last value
+ *    passed for the metric.
+ *
+ * An unchanged value is still passed once `maxAge` milliseconds have passed
+ * since the last one, so that subscribers can tell that the device is alive.
+ * Times are taken from the timestamps of the PUT messages, so batches of
+ * historical samples are throttled according to when they were measured.
+ *
+ * Dropped messages are answered as if they had been delivered, so they do not
+ * appear as failures to the device. Other requests are not affected.
+ *
+ * var app = organiq();
+ * // pass temperature at most every 5 seconds, and at least every minute
+ * app.use(organiq.middleware.throttle({
+ *   metrics: 'temp*', interval: 5000, maxAge: 60000
+ * }));
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var when = require('when');
+var debug = require('debug')('organiq:throttle');
+var util = require('./util');
+
+/**
+ * Export throttle middleware factory.
+ */
+module.exports = throttle;
+
+/**
+ * Create a metric throttling middleware layer.
+ *
+ * @param {Object=} options
+ * @param {Number=} options.interval minimum time (in milliseconds) between
+ *  values passed for a metric. Default is zero.
+ * @param {Boolean=} options.dedupe if true (the default), unchanged values
+ *  are dropped.
+ * @param {Number=} options.maxAge time (in milliseconds) after which an
+ *  unchanged value is passed anyway. Default is zero (never).
+ * @param {String|Array<String>=} options.metrics metric name patterns to
+ *  throttle. Default is all metrics.
+ * @param {String|Array<String>=} options.devices device id patterns to
+ *  throttle. Default is all devices.
+ * @returns {function(OrganiqRequest, function)} middleware
+ */
+function throttle(options) {
+  options = options || {};
+  var interval = options.interval || 0;
+  var dedupe = options.dedupe !== false;
+  var maxAge = options.maxAge || 0;
+
+  var last = {};  // { value, timestamp } last passed, by deviceid and metric
+
+  /**
+   * Throttle middleware handler.
+   *
+   * @param {OrganiqRequest} req
+   * @param {function} next
+   */
+  function organiqThrottle(req, next) {
+    if (req.method !== 'PUT' ||
+        !util.matchesAny(options.metrics, req.identifier) ||
+        !util.matchesAny(options.devices, req.deviceid)) {
+      return next();
+    }
+
+    var key = JSON.stringify([req.deviceid, req.identifier]);
+    var timestamp = req.timestamp || Date.now();
+    var value = JSON.stringify(req.value);
+    var previous = last[key];
+    if (previous) {
+      var elapsed = timestamp - previous.timestamp;
+      var unchanged = dedupe && value === previous.value;
+      if ((interval > 0 && elapsed < interval) ||
+          (unchanged && (maxAge <= 0 || elapsed < maxAge))) {
+        debug('PUT ' + req.deviceid + '.' + req.identifier + ' dropped');
+        return when(true);
+      }
+    }
+    last[key] = { value: value, timestamp: timestamp };
+    return next();
+  }
+
+  /**
+   * Forget the last values passed for a device, or for all devices.
+   *
+   * @param {String=} deviceid
+   */
+  organiqThrottle.reset = function(deviceid) {
+    if (typeof deviceid === 'undefined') {
+      last = {};
+      return;
+    }
+    Object.keys(last).forEach(function(key) {
+      if (JSON.parse(key)[0] === deviceid) {
+        delete last[key];
+      }
+    });
+  };
+
+  return organiqThrottle;
+}
@@ -0,0 +1,58 @@
+/**
+ * Helpers shared by the bundled middleware.
+ */
+
+/**
+ * Module Dependencies.
+ */
+var pattern = require('../pattern');
+
+/**
+ * Module exports.
+ */
+exports.principalName = principalName;
+exports.matchesAny = matchesAny;
+
+/**
+ * Get a name identifying the principal of a request.
+ *
+ * Principals are whatever the node's authentication policy returns. Strings
+ * are used as they are; objects are identified by their `id` or `name`
+ * property.
+ *
+ * @param {*} principal
+ * @returns {String|null} the name, or null if the request is anonymous
+ */
+function principalName(principal) {
+  if (principal === null || typeof principal === 'undefined') {
+    return null;
+  }
+  if (typeof principal === 'object') {
+    var name = principal.id || principal.name;
+    return (name === null || typeof name === 'undefined') ? null : String(name);
+  }
+  return String(principal);
+}
+
+/**
+ * Determine whether a name matches any of a list of wildcard patterns.
+ *
+ * @param {Array<String>|String|null|undefined} patterns a pattern or list of
+ *  patterns. If not given, every name matches.
+ * @param {String|null} name
+ * @returns {Boolean}
+ */
+function matchesAny(patterns, name) {
+  if (patterns === null || typeof patterns === 'undefined') {
+    return true;
+  }
+  if (name === null || typeof name === 'undefined') {
+    return false;
+  }
+  if (!Array.isArray(patterns)) {
+    patterns = [patterns];
+  }
+  return patterns.some(function(p) {
+    return pattern.matches(p, name);
+  });
+}
@@ -0,0 +1,214 @@
+/**
+ * Module dependencies.
+ */
+var when = require('when');
+var debug = require('debug')('organiq:queue');
+var errors = require('./errors');
+
+/**
+ * Organiq Offline Queue.
+ */
+module.exports = OfflineQueue;
+
+var DEFAULT_TTL = 60000;      // ms a request may wait in the queue
+var DEFAULT_MAX_SIZE = 100;   // max number of requests held per device
+var DEFAULT_METHODS = ['SET', 'INVOKE', 'CONFIG'];
+
+/*
+ * Queue of downstream requests for a device that is not connected.
+ *
+ * When offline queueing is enabled for a device, requests for it that arrive
+ * while it is not registered are held here rather than failing. When the
+ * device is registered again, the requests are delivered in the order they
+ * were received, and the promise returned to each original caller is settled
+ * with the device's response. Requests made while the queue is being drained
+ * join the end of the queue, so that they do not overtake held requests.
+ *
+ * Requests that are not delivered within the time-to-live are rejected, as
+ * are requests that arrive when the queue is full.
+ *
+ * @param {String} deviceid
+ * @param {Object=} options
+ * @param {Number=} options.ttl time (in milliseconds) a request may wait in
+ *  the queue. Default is one minute. Queued requests do not keep the process
+ *  running.
+ * @param {Number=} options.maxSize maximum number of requests held. Default is
+ *  100.
+ * @param {Array<String>=} options.methods request methods that are queued.
+ *  Default is SET, INVOKE, and CONFIG.
+ * @param {function(OfflineQueue)=} options.onChange called whenever requests
+ *  are added to or removed from the queue.
+ * @returns {OfflineQueue}
+ * @constructor
+ * @private
+ */
+function OfflineQueue(deviceid, options) {
+  if (!(this instanceof OfflineQueue)) {
+    return new OfflineQueue(deviceid, options);
+  }
+  options = options || {};
+
+  this.deviceid = deviceid;
+  this.ttl = options.ttl || DEFAULT_TTL;
+  this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  this.methods = options.methods || DEFAULT_METHODS;
+  this.onChange = options.onChange || function() {};
+  this.entries = [];  // queued requests, oldest first
+  this.draining = null; // promise for completion of drain(), while draining
+}
+
+/**
+ * Determine whether the given request may be queued.
+ *
+ * @param {OrganiqRequest} req
+ * @returns {Boolean}
+ */
+OfflineQueue.prototype.accepts = function(req) {
+  return this.methods.indexOf(req.method) !== -1;
+};
+
+/**
+ * Determine whether the queue holds requests, or is delivering them.
+ *
+ * @returns {Boolean}
+ */
+OfflineQueue.prototype.isBusy = function() {
+  return this.entries.length > 0 || this.draining !== null;
+};
+
+/**
+ * Add a request to the queue.
+ *
+ * @param {OrganiqRequest} req
+ * @returns {Promise} a promise for the result of the request once delivered
+ */
+OfflineQueue.prototype.enqueue = function(req) {
+  if (this.entries.length >= this.maxSize) {
+    debug('Offline queue full for ' + this.deviceid);
+    return when.reject(new errors.NotConnectedError(
+      'Offline queue for device \'' + this.deviceid + '\' is full.'));
+  }
+
+  var self = this;
+  var now = Date.now();
+  var expiresAt = now + this.ttl;
+  if (req.context && req.context.deadline) {
+    expiresAt = Math.min(expiresAt, req.context.deadline);
+  }
+
+  var entry = {
+    req: req,
+    deferred: when.defer(),
+    queuedAt: now,
+    expiresAt: expiresAt,
+    timer: null
+  };
+  entry.timer = setTimeout(function() {
+    self.remove(entry);
+    self.onChange(self);
+    debug('Offline request expired for ' + self.deviceid);
+    entry.deferred.reject(new errors.TimeoutError(
+      'Request for device \'' + self.deviceid + '\' expired while queued.'));
+  }, Math.max(expiresAt - now, 0));
+  entry.timer.unref();
+
+  this.entries.push(entry);
+  this.onChange(this);
+  debug('Queued ' + req.method + ' for ' + this.deviceid + ' (' +
+    this.entries.length + ' queued)');
+  return entry.deferred.promise;
+};
+
+/**
+ * Remove an entry from the queue (without settling it).
+ *
+ * @private
+ */
+OfflineQueue.prototype.remove = function(entry) {
+  var idx = this.entries.indexOf(entry);
+  if (idx > -1) {
+    this.entries.splice(idx, 1);
+  }
+  clearTimeout(entry.timer);
+};
+
+/**
+ * Deliver all queued requests, in order.
+ *
+ * Each request is given to `deliver`, and the next request is not delivered
+ * until the result of the previous one is known. The promise returned to
+ * the original caller is settled with the result. Requests queued during the
+ * drain are delivered too. If the queue is already being drained, the
+ * existing drain is returned.
+ *
+ * @param {function(OrganiqRequest): *} deliver
+ * @returns {Promise} a promise that resolves when all requests are delivered
+ */
+OfflineQueue.prototype.drain = function(deliver) {
+  if (this.draining) {
+    return this.draining;
+  }
+
+  var self = this;
+  debug('Delivering ' + this.entries.length + ' queued requests for ' +
+    this.deviceid);
+  function next() {
+    var entry = self.entries.shift();
+    if (!entry) {
+      self.draining = null;
+      return;
+    }
+    clearTimeout(entry.timer);
+    self.onChange(self);
+    return when.try(deliver, entry.req)
+      .then(entry.deferred.resolve, entry.deferred.reject)
+      .then(next);
+  }
+  this.draining = when.resolve().then(next);
+  return this.draining;
+};
+
+/**
+ * Reject all queued requests.
+ *
+ * @param {Error} err
+ */
+OfflineQueue.prototype.clear = function(err) {
+  var entries = this.entries;
+  this.entries = [];
+  if (entries.length) {
+    this.onChange(this);
+  }
+  entries.forEach(function(entry) {
+    clearTimeout(entry.timer);
+    entry.deferred.reject(err);
+  });
+};
+
+/**
+ * @name QueuedRequestInfo
+ * @property {String} method
+ * @property {String} identifier
+ * @property {*} value
+ * @property {*} params
+ * @property {Number} queuedAt time the request was queued (ms since epoch)
+ * @property {Number} expiresAt time the request will expire
+ */
+
+/**
+ * Get information about the requests in the queue.
+ *
+ * @returns {Array<QueuedRequestInfo>}
+ */
+OfflineQueue.prototype.getInfo = function() {
+  return this.entries.map(function(entry) {
+    return {
+      method: entry.req.method,
+      identifier: entry.req.identifier,
+      value: entry.req.value,
+      params: entry.req.params,
+      queuedAt: entry.queuedAt,
+      expiresAt: entry.expiresAt
+    };
+  });
+};
@@ -1,13 +1,26 @@
 var req = require('./request');
-var express = require('./transports/express');
+var transports = require('./transports');
 var websocket = require('./transports/websocket');
 var when = require('when');
 var debug = require('debug')('organiq:core');
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
 var CoreDevice = require('./coreDevice.js');
+var pattern = require('./pattern');
+var OfflineQueue = require('./offlineQueue');
+var History = require('./history');
+var Stats = require('./stats');
+var RoutingTable = require('./routing');
+var storage = require('./storage');
+var schema = require('./schema');
+var errors = require('./errors');
 module.exports = Organiq;
 
+module.exports.middleware = require('./middleware');
+module.exports.storage = storage;
+module.exports.transports = transports;
+module.exports.errors = errors;
+
 /* test-code */
 module.exports._LocalDeviceProxy = LocalDeviceProxy;
 /* end test-code */
@@ -18,8 +31,28 @@ module.exports._LocalDeviceProxy = LocalDeviceProxy;
  * @param {Object=} options
  * @param {Array<String>} options.domains list of domains for which this node
  *  is authoritative.
+ * @param {Boolean=} options.strict if true, the node is authoritative only
+ *  for `domains` (and their subdomains), and rejects registrations of devices
+ *  in other domains unless a gateway for them is registered or expected (see
+ *  delegate()). Otherwise, the node is authoritative for every domain for
+ *  which no gateway is registered.
+ * @param {Array<String>=} options.delegate domains served by other nodes
+ *  through gateways that are expected to be registered (see delegate()).
  * @param {String} options.defaultDomain the default domain to use when non-
  *  qualified deviceids are used. If not specified, the default domain is '.'.
+ * @param {AuthPolicy=} options.auth authentication and authorization policy
+ *  applied by transports to requests from remote clients. If not specified,
+ *  all requests are allowed.
+ * @param {Object=} options.storage storage adapter used to persist node state
+ *  (see lib/storage). If not specified, state is held in memory only.
+ * @param {Object=} options.history options for recording metric history
+ *  (see lib/history), e.g. `{ track: [ { deviceid: '*', metric: 'temp*' } ],
+ *  capacity: 3600, persist: true }`.
+ * @param {String=} options.nodeid identifies this node to other nodes, which
+ *  record it in the requests it forwards so that forwarding loops can be
+ *  detected. If not specified, a random id is used.
+ * @param {Number=} options.maxHops the number of times a request may be
+ *  forwarded between nodes before it is refused. Default is 8.
  * @returns {Organiq}
  * @constructor
  */
@@ -29,50 +62,124 @@ function Organiq(options) {
   }
   options = options || {};
 
-  this.stack = [];      // middleware stack, ordered toward downstream
+  this.stack = [];      // middleware layers, ordered toward downstream
+  this.hooks = {};      // lifecycle hooks (in order added), by hook name
   this.devices = {};    // registered device drivers by id
   this.proxies = {};    // arrays of connected local device proxies by id
   this.domains = [];    // domains for which we are authoritative
-  this.gateways = {};   // upstream gateways by namespace
-
-  this.domains = options.domains || [];
+  this.routes = new RoutingTable();  // gateway routes
+  this.gateways = {};   // gateway currently used for each routed domain
+  this.deviceGateways = {}; // gateway each device is registered with, by id
+  this.offlineQueues = {};        // OfflineQueue objects by deviceid
+  this.offlineQueuePolicies = []; // options for offline queueing by pattern
+  this.restoring = {};  // promises for devices being brought up to date, by id
+  this.schemas = {};    // device schemas (or promises for them) by id
+  this.sequences = {};  // last sequence number of device messages by id
+  this.startTime = Date.now();
+  hookNames.forEach(function(name) { this.hooks[name] = []; }, this);
+
+  this.domains = (options.domains || []).map(function(domain) {
+    return domain.toLowerCase();
+  });
+  this.delegations = [];  // domains delegated to expected gateways
+  this.parked = {};     // devices awaiting the gateway for their domain, by id
   this.defaultDomain = options.defaultDomain || '.';
+  this.nodeid = options.nodeid || newId();
+  this.maxHops = options.maxHops || DEFAULT_MAX_HOPS;
+  this.auth = options.auth || null;
+  this.storage = options.storage || new storage.MemoryStorage();
+  this.history = new History(options.history, this.storage);
+  this.stats = new Stats();
+  defineStats(this);
+
+  // Unless strict, we act as authority for any domain that does not have a
+  // registered gateway. In strict mode, devices that register before the
+  // gateway for their domain are parked until it arrives.
+  this.localAuthorityIfNoGateway = !options.strict;
+  (options.delegate || []).forEach(function(domain) {
+    this.delegate(domain);
+  }, this);
 
-  // TODO: The eventual behavior here should be that we only set the local node
-  // TODO: as authority if the domain name matches one in this.domains. However,
-  // TODO: the existing logic expects us to act as authority for any domain that
-  // TODO: does not have a registered gateway. In particular, we have to find
-  // TODO: a way to deal with the fact that gateways might not be registered
-  // TODO: in advance of devices registering that rely on them...
-  this.localAuthorityIfNoGateway = true;
-
-
-  /**
-   * Return an ExpressJS-compatible middleware interface
-   *
-   * @param options
-   * @returns {ExpressDapi}
-   */
-  this.expressDapi = function(options) {
-    return express(this, options);
-  };
-
-  /**
-   * Return a WebSocket- and WebSocketServer-compatible interface.
-   *
-   * @param {Object=} options
-   * @returns {WebSocketApi}
-   */
-  this.websocketApi = function(options) {
-    return websocket(this, options);
-  };
 
   // register the Core device in the local (non-routed) domain.
   this.register(':core', new CoreDevice(this));
+
+  // Reload requests that were held for disconnected devices, and recorded
+  // metric history, from when the node last stopped.
+  this.ready = when.all([this.restoreOfflineQueues(), this.history.load()]);
 }
-// emits 'gatewayRegistered', 'deviceConnected', 'deviceDisconnected'
+// emits 'gatewayRegistered', 'deviceRegistered', 'deviceDeregistered',
+//  'deviceParked'
 util.inherits(Organiq, EventEmitter);
 
+/**
+ * Create a transport for this node.
+ *
+ * Transports are registered by name with organiq.transports.define() (see
+ * lib/transports), which also describes the interface between transports and
+ * the node.
+ *
+ * @param {String} name name of the transport, e.g. 'websocket'
+ * @param {Object=} options transport-specific options
+ * @returns {*} the transport, as returned by its factory
+ * @throws {Error} if there is no transport with the given name
+ */
+Organiq.prototype.transport = function transport(name, options) {
+  var factory = transports.get(name);
+  if (!factory) {
+    throw new Error('Unknown transport \'' + name + '\'.');
+  }
+  return factory(this, options);
+};
+
+/**
+ * Return an ExpressJS-compatible middleware interface
+ *
+ * @param options
+ * @returns {ExpressDapi}
+ */
+Organiq.prototype.expressDapi = function(options) {
+  return this.transport('express', options);
+};
+
+/**
+ * Return a WebSocket- and WebSocketServer-compatible interface.
+ *
+ * @param {Object=} options
+ * @returns {WebSocketApi}
+ */
+Organiq.prototype.websocketApi = function(options) {
+  return this.transport('websocket', options);
+};
+
+/**
+ * Return a gateway link that reconnects when the WebSocket is lost.
+ *
+ * @param {function(): WebSocket} createSocket returns a new WebSocket
+ * @param {Object=} options
+ * @returns {ReconnectingWebSocketGateway}
+ */
+Organiq.prototype.websocketGateway = function(createSocket, options) {
+  return new websocket.ReconnectingGateway(this, createSocket, options);
+};
+
+/**
+ * Link this node to another node in the same process.
+ *
+ * @param {Organiq} peer
+ * @param {Object=} options see lib/transports/loopback
+ * @returns {LoopbackLink}
+ */
+Organiq.prototype.loopback = function(peer, options) {
+  var linkOptions = { peer: peer };
+  for (var key in options) {
+    if (options.hasOwnProperty(key)) {
+      linkOptions[key] = options[key];
+    }
+  }
+  return this.transport('loopback', linkOptions);
+};
+
 /**
  * @name AuthorityInfo
  * @property {String} domain Normalized domain name
@@ -80,6 +187,8 @@ util.inherits(Organiq, EventEmitter);
  * @property {Boolean} isLocal True if the local node is authoritative
  * @property {Boolean} isRoutable True if the device can be routed
  * @property {Object|null} gateway
+ * @property {Boolean} isParked True if the device's domain is delegated to a
+ *  gateway that has not yet been registered (strict mode only)
  * @property {Boolean} isValid True if the device id is valid.
  * @property {String} err if isValid is False, contains string describing error.
  */
@@ -123,22 +232,36 @@ Organiq.prototype.getDeviceAuthority = function getDeviceAuthority(deviceid) {
     }
     else if (this.localAuthorityIfNoGateway) {
       // We are to act as the authority for this device if there is no gateway
-      // registered for the specified domain.
-      authority.gateway = this.gateways[authority.domain];
-      if (!authority.gateway) {
-        authority.gateway = this.gateways['*'];
-      }
+      // route for the specified domain.
+      var route = this.routes.lookup(authority.domain);
+      authority.gateway = route ? route.gateway : null;
       authority.isLocal = !authority.gateway;
       authority.isRoutable = true;
     } else {
-      authority.isLocal = this.domains.indexOf(authority.domain) > -1;
-      authority.gateway = authority.isLocal ? null : this.gateways[authority.domain];
-      if (!authority.isLocal && !authority.gateway) {
-        authority.gateway = this.gateways['*'];
+      // We are authoritative only for our own domains and their subdomains,
+      // except those routed or delegated to a gateway. The most specific
+      // domain decides; ties go to our own domains, then to routes.
+      var owned = matchDomain(this.domains, authority.domain);
+      var routed = this.routes.lookup(authority.domain);
+      var delegated = matchDomain(this.delegations, authority.domain);
+      if (delegated === null && this.delegations.indexOf('*') > -1) {
+        delegated = '*';
       }
+      var routedDomain = routed ? routed.domain : null;
+      authority.isLocal = owned !== null &&
+        !moreSpecific(routedDomain, owned) && !moreSpecific(delegated, owned);
+      authority.gateway = (!authority.isLocal && routed &&
+        !moreSpecific(delegated, routedDomain)) ? routed.gateway : null;
+      authority.isParked = !authority.isLocal && !authority.gateway &&
+        delegated !== null;
       authority.isRoutable = true;
+      if (!authority.isLocal && !authority.gateway && !authority.isParked) {
+        authority.err = 'Domain \'' + authority.domain +
+          '\' is not served by this node.';
+      }
     }
-    authority.isValid = !!(authority.isLocal || authority.gateway);
+    authority.isValid = !!(authority.isLocal || authority.gateway ||
+      authority.isParked);
   }
   catch(e) {
     authority.isValid = false;
@@ -149,16 +272,171 @@ Organiq.prototype.getDeviceAuthority = function getDeviceAuthority(deviceid) {
 
 
 
+/**
+ * Find the most specific of a list of domains that is, or is a parent of, a
+ * given domain. The wildcard domain '*' is ignored.
+ *
+ * @param {Array<String>} domains
+ * @param {String} domain
+ * @returns {String|null}
+ */
+function matchDomain(domains, domain) {
+  var best = null;
+  domains.forEach(function(candidate) {
+    if (candidate === '*') {
+      return;
+    }
+    var matches = domain === candidate ||
+      domain.slice(-(candidate.length + 1)) === '.' + candidate;
+    if (matches && (best === null || candidate.length > best.length)) {
+      best = candidate;
+    }
+  });
+  return best;
+}
+
+/**
+ * Determine whether one domain (or pattern) is more specific than another.
+ *
+ * @param {String|null} a
+ * @param {String|null} b
+ * @returns {Boolean} true if `a` is given and is more specific than `b`
+ */
+function moreSpecific(a, b) {
+  return a !== null && (b === null ||
+    RoutingTable.specificity(a) > RoutingTable.specificity(b));
+}
+
+/**
+ * Delegate a domain to a gateway that is expected to be registered.
+ *
+ * In strict mode, devices in a delegated domain (including subdomains of
+ * domains for which the node is authoritative, e.g. 'plant1.acme') are
+ * served by the gateway registered for the domain. Devices that register
+ * before the gateway are parked, and registered with the gateway when it
+ * arrives. The domain '*' delegates every domain the node does not own (e.g.,
+ * on a device container).
+ *
+ * app = organiq({ strict: true, domains: ['acme'] });
+ * app.delegate('plant1.acme');
+ * app.register('plant1.acme:pump', pump);  // parked
+ * app.registerGateway('plant1.acme', gateway);  // pump registered with it
+ *
+ * @param {String} domain
+ * @returns {Organiq}
+ */
+Organiq.prototype.delegate = function delegate(domain) {
+  domain = domain.toLowerCase();
+  if (this.delegations.indexOf(domain) === -1) {
+    this.delegations.push(domain);
+  }
+  return this;
+};
+
+/**
+ * @name AuthPolicy
+ * @property {function(*, Object): Object|Promise=} authenticate Given the
+ *  credential presented by a client (undefined if none was given) and a
+ *  transport-specific info object, return a principal identifying the client,
+ *  or a falsy value if the credential is not acceptable.
+ * @property {function(Object, String, String, String): Boolean|Promise=}
+ *  authorize Given a principal, an action (the request method, e.g.,
+ *  'REGISTER', 'CONNECT', 'SET', or 'ADMIN' for the administrative methods
+ *  of ':core'), a normalized deviceid and its domain, return true if the
+ *  request should be allowed.
+ */
+
+/**
+ * Authenticate a client using the configured policy.
+ *
+ * Used by transports to establish the identity of a remote client. If no
+ * policy is configured, the client is anonymous (and the principal is null).
+ *
+ * @param {*} credential credential presented by the client
+ * @param {Object=} info transport-specific information (e.g., the HTTP
+ *  request)
+ * @returns {Promise<Object|null>} a promise for the principal, rejected with
+ *  an Error if authentication fails.
+ */
+Organiq.prototype.authenticate = function(credential, info) {
+  var auth = this.auth;
+  if (!auth || typeof auth.authenticate !== 'function') {
+    return when.resolve(null);
+  }
+  return when.try(auth.authenticate, credential, info || {})
+    .then(function(principal) {
+      if (!principal) {
+        throw new errors.UnauthorizedError('Authentication failed.');
+      }
+      return principal;
+    });
+};
+
+/**
+ * Check whether a principal may perform an action on a device.
+ *
+ * @param {Object|null} principal as returned from authenticate()
+ * @param {String} action request method, e.g., 'REGISTER' or 'SET'
+ * @param {String} deviceid
+ * @returns {Promise<Boolean>} a promise for true, rejected with an Error if
+ *  the action is not allowed.
+ */
+Organiq.prototype.authorize = function(principal, action, deviceid) {
+  var auth = this.auth;
+  if (!auth || typeof auth.authorize !== 'function') {
+    return when.resolve(true);
+  }
+  var authority = this.getDeviceAuthority(deviceid || '');
+  return when.try(auth.authorize, principal, action, authority.deviceid,
+                  authority.domain)
+    .then(function(allowed) {
+      if (!allowed) {
+        throw new errors.UnauthorizedError('Not authorized to ' + action +
+          ' device \'' + authority.deviceid + '\'.',
+          { status: 403, deviceid: authority.deviceid });
+      }
+      return true;
+    });
+};
+
+
+/**
+ * @name MiddlewareLayer
+ * @property {String|null} pattern device id pattern to which the layer
+ *  applies, or null if it applies to all devices
+ * @property {function(OrganiqRequest, function)} handle middleware function
+ */
+
 /**
  * Add middleware to the Organiq stack.
  *
  * Middleware functions are called for every request that passes through the
- * system. They are invoked in the order that they are given to use().
+ * system, or (if a pattern is given) for every request to or from the devices
+ * that match the pattern. They are invoked in the order that they are given
+ * to use(), whether or not they have a pattern.
  *
+ * The pattern may be a device id, a device id with wildcards (see
+ * lib/pattern), or a domain name. A pattern without a colon is a domain name,
+ * and applies to every device in the domain:
+ *
+ * app.use(logger);                         // every request
+ * app.use('thermostats:*', rateLimit);     // devices matching the pattern
+ * app.use('example.com', throttle);        // same as 'example.com:*'
+ * app.use('example.com:pump', [auth, log]);
+ *
+ * Patterns are matched against the fully-qualified device id, ignoring case.
+ *
+ * @param {String=} pattern device id pattern or domain
  * @param {function(OrganiqRequest, function)|function[]} fns
  * @returns {Organiq}
  */
-Organiq.prototype.use = function use(fns) {
+Organiq.prototype.use = function use(pattern, fns) {
+  if (typeof pattern !== 'string') {
+    fns = pattern;
+    pattern = null;
+  } else {
+    pattern = normalizeScope(pattern);
+  }
 
   if (typeof fns === 'function') {
     fns = [fns];
@@ -169,13 +447,133 @@ Organiq.prototype.use = function use(fns) {
   }
 
   fns.forEach(function (fn) {
-    this.stack.push(fn);
+    if (typeof fn !== 'function') {
+      throw new TypeError('.use() requires middleware functions');
+    }
+    this.stack.push({ pattern: pattern, handle: fn });
     fn.organiq = this;
   }, this);
 
   return this;
 };
 
+/**
+ * Get the middleware that applies to requests for a device.
+ *
+ * @param {String} deviceid
+ * @returns {Array<function(OrganiqRequest, function)>} middleware functions,
+ *  ordered toward downstream
+ */
+Organiq.prototype.getStack = function getStack(deviceid) {
+  return applicable(this, this.stack, deviceid).map(function(layer) {
+    return layer.handle;
+  });
+};
+
+var hookNames = ['beforeDispatch', 'afterDispatch', 'error', 'deviceMissing'];
+
+/**
+ * Add a lifecycle hook.
+ *
+ * Hooks are called for requests in both directions, from any transport, as
+ * they are dispatched:
+ *
+ *  beforeDispatch(req) - before the request is validated and passed to the
+ *    middleware. The hook may modify the request, or fail it by throwing (or
+ *    returning a rejected promise).
+ *  afterDispatch(req, err, res) - once the request has completed, with the
+ *    error (null if it succeeded) and result. The return value is ignored,
+ *    and failures of the hook are logged, so it is suited to metrics and
+ *    audit logging.
+ *  error(err, req) - when the request fails, in the middleware, the device,
+ *    or a beforeDispatch hook. Error hooks are called in turn until one
+ *    handles the error: a hook that returns a value (or promise) recovers,
+ *    and the value becomes the result of the request; a hook that throws
+ *    replaces the error with the one thrown; a hook that returns nothing
+ *    leaves the error to the next hook.
+ *  deviceMissing(req) - when an application-originated request reaches the
+ *    end of the stack, the device is not connected, and the request is not
+ *    queued. A hook that returns a value answers the request (e.g., with a
+ *    default or a value from elsewhere); otherwise the request fails with
+ *    NotConnectedError as usual.
+ *
+ * As with use(), a hook may be limited to the devices matching a pattern.
+ *
+ * app.hook('error', function(err, req) {
+ *   if (err.code === 'Timeout' && req.method === 'GET') { return null; }
+ * });
+ * app.hook('afterDispatch', 'example.com', function(req, err) {
+ *   audit.write(req.method, req.deviceid, req.context.principal, !err);
+ * });
+ *
+ * @param {String} name 'beforeDispatch', 'afterDispatch', 'error', or
+ *  'deviceMissing'
+ * @param {String=} pattern device id pattern or domain (see use())
+ * @param {function} fn
+ * @returns {Organiq}
+ */
+Organiq.prototype.hook = function hook(name, pattern, fn) {
+  if (hookNames.indexOf(name) === -1) {
+    throw new TypeError('Unknown hook \'' + name + '\'');
+  }
+  if (typeof pattern !== 'string') {
+    fn = pattern;
+    pattern = null;
+  } else {
+    pattern = normalizeScope(pattern);
+  }
+  if (typeof fn !== 'function') {
+    throw new TypeError('.hook() requires a function');
+  }
+  this.hooks[name].push({ pattern: pattern, handle: fn });
+  return this;
+};
+
+/**
+ * Get the hooks of the given name that apply to requests for a device.
+ *
+ * @param {String} name
+ * @param {String} deviceid
+ * @returns {Array<function>}
+ */
+Organiq.prototype.getHooks = function getHooks(name, deviceid) {
+  return applicable(this, this.hooks[name], deviceid).map(function(hook) {
+    return hook.handle;
+  });
+};
+
+/**
+ * Normalize the device pattern given to use() or hook().
+ *
+ * @param {String} scope device id pattern or domain name
+ * @returns {String}
+ */
+function normalizeScope(scope) {
+  scope = scope.toLowerCase();
+  return (scope.indexOf(':') === -1) ? scope + ':*' : scope;
+}
+
+/**
+ * Select the middleware layers (or hooks) that apply to a device.
+ *
+ * @param {Organiq} app
+ * @param {Array<MiddlewareLayer>} layers
+ * @param {String} deviceid
+ * @returns {Array<MiddlewareLayer>}
+ */
+function applicable(app, layers, deviceid) {
+  var normalized = null;
+  return layers.filter(function(layer) {
+    if (layer.pattern === null) {
+      return true;
+    }
+    if (normalized === null) {
+      normalized = app.getDeviceAuthority(deviceid).deviceid || '';
+    }
+    return pattern.matches(layer.pattern, normalized);
+  });
+}
+
 
 /**
  * Dispatch a request through the local middleware stack.
@@ -199,18 +597,178 @@ Organiq.prototype.dispatch = function dispatch(req) {
 
   var idx;                  // index of current handler in middleware stack
   var previousResult;       // last defined result returned from a handler
-  var handlers = this.stack;// array of middleware handlers
+  var handlers;             // array of middleware handlers for the device
   var finalHandler;         // function used when end of handlers reached
   var app = this;
   var downstream = req.isApplicationOriginated();
 
-  // Application-originated requests go "downstream" through the stack,
-  // from first (index 0) to last. Device-originated requests go "upstream",
-  // starting at the last handler in the stack.
+  // Only the middleware that applies to the device is used. Application-
+  // originated requests go "downstream" through it, from first (index 0) to
+  // last. Device-originated requests go "upstream", starting at the last
+  // handler.
+  handlers = this.getStack(req.deviceid);
   idx = downstream ? 0 : handlers.length - 1;
   finalHandler = downstream ? finalHandlerDownstream : finalHandlerUpstream;
 
-  return next();
+  // Requests that did not arrive with a correlation id (e.g., because they
+  // originated on this node) are assigned one here.
+  if (!req.context.correlationId) {
+    req.context.correlationId = newId();
+  }
+
+  // The request will be checked against the device's schema before any layer
+  // sees it. If the schema is still being fetched, wait for it.
+  var deviceSchema = this.schemas[req.deviceid];
+  if (when.isPromiseLike(deviceSchema)) {
+    return deviceSchema.then(function() {
+      return app.dispatch(req);
+    });
+  }
+
+  // Count the request, and time it until it completes and until it reaches
+  // the end of the stack (i.e., the time spent in middleware). Requests for
+  // devices that are not registered here (or with an unknown method) share
+  // one label, so that clients cannot create any number of series.
+  var stats = this.stats;
+  var known = downstream || req.isDeviceOriginated();
+  var labels = {
+    method: known ? req.method : '(unknown)',
+    deviceid: this.devices.hasOwnProperty(req.deviceid) ?
+      req.deviceid : '(unknown)'
+  };
+  var started = Date.now();
+  var reachedEnd = null;
+  stats.increment('organiq_requests_total', labels);
+
+  // Lifecycle hooks (see hook()) that apply to the device. The request is
+  // started synchronously unless a beforeDispatch hook is asynchronous.
+  var hooks = {};
+  hookNames.forEach(function(name) {
+    hooks[name] = app.getHooks(name, req.deviceid);
+  });
+  var before = runBeforeHooks();
+  var result = before ? before.then(start) : start();
+  return completed(finish(result));
+
+  /**
+   * Call the beforeDispatch hooks in turn.
+   *
+   * @returns {Promise|undefined} a promise if any hook is asynchronous (or
+   *  fails)
+   */
+  function runBeforeHooks() {
+    var pending = null;
+    hooks.beforeDispatch.forEach(function(fn) {
+      if (pending) {
+        pending = pending.then(function() { return fn(req); });
+        return;
+      }
+      try {
+        var res = fn(req);
+        if (when.isPromiseLike(res)) {
+          pending = when(res);
+        }
+      } catch (e) {
+        pending = when.reject(e);
+      }
+    });
+    return pending || undefined;
+  }
+
+  /**
+   * Validate the request and pass it to the middleware.
+   *
+   * @returns {Promise}
+   */
+  function start() {
+    if (req.context.deadline && Date.now() > req.context.deadline) {
+      debug('Request deadline exceeded: ' + req.context.correlationId);
+      return when.reject(new errors.TimeoutError('Request deadline exceeded.'));
+    }
+    var invalid = schema.validate(deviceSchema, req);
+    if (invalid) {
+      debug('Invalid request: ' + invalid.message);
+      return when.reject(invalid);
+    }
+
+    // Device-originated requests are stamped with the time they occurred and
+    // a per-device sequence number, unless the device (or the node to which
+    // it is attached) has already done so.
+    if (!downstream) {
+      if (!req.timestamp) {
+        req.timestamp = Date.now();
+      }
+      if (req.sequence === null) {
+        req.sequence = app.sequences[req.deviceid] =
+          (app.sequences[req.deviceid] || 0) + 1;
+      }
+    }
+
+    return next();
+  }
+
+  /**
+   * Give a failed request to the error hooks, and tell the afterDispatch
+   * hooks of the outcome.
+   *
+   * @param {Promise} promise for the result of the request
+   * @returns {Promise} a promise for the final result
+   */
+  function finish(promise) {
+    if (hooks.error.length === 0 && hooks.afterDispatch.length === 0) {
+      return promise;
+    }
+    return promise
+      .catch(function(err) {
+        return hooks.error.reduce(function(previous, fn) {
+          return previous.catch(function(e) {
+            return when.try(fn, e, req).then(function(res) {
+              if (typeof res === 'undefined') {
+                throw e;
+              }
+              debug('Error handled by hook: ' + e);
+              return res;
+            });
+          });
+        }, when.reject(err));
+      })
+      .then(function(res) {
+        runAfterHooks(null, res);
+        return res;
+      }, function(err) {
+        runAfterHooks(err, undefined);
+        throw err;
+      });
+  }
+
+  function runAfterHooks(err, res) {
+    hooks.afterDispatch.forEach(function(fn) {
+      when.try(fn, req, err, res).catch(function(e) {
+        debug('afterDispatch hook failed: ' + e);
+      });
+    });
+  }
+
+  /**
+   * Record the outcome and duration of the request once it completes.
+   *
+   * @param {Promise} promise for the result of the request
+   * @returns {Promise} the given promise
+   */
+  function completed(promise) {
+    function record(failed) {
+      var now = Date.now();
+      if (failed) {
+        stats.increment('organiq_request_failures_total', labels);
+      }
+      stats.observe('organiq_request_duration_seconds', labels,
+        (now - started) / 1000);
+      stats.observe('organiq_middleware_duration_seconds', labels,
+        ((reachedEnd || now) - started) / 1000);
+    }
+    promise.then(function() { record(false); }, function() { record(true); });
+    return promise;
+  }
 
   /**
    * Invoke the next middleware handler in the stack.
@@ -242,7 +800,8 @@ Organiq.prototype.dispatch = function dispatch(req) {
     // by previous layers in the stack to do error handling.
     // Note that this is different than how Connect middleware functions; in
     // Connect, errors are passed to _future_ layers in the stack, while in
-    // Organiq, errors are accessible only to _previous_ layers.
+    // Organiq, errors are accessible only to _previous_ layers (and, once the
+    // request has failed, to the error hooks; see hook()).
     //
     // In the normal case, the layers will call next() recursively
     try { result = layer(req, next); }
@@ -282,36 +841,72 @@ Organiq.prototype.dispatch = function dispatch(req) {
    * middleware stack.
    *
    * The request will be passed to the device object (or its proxy) if it
-   * exists, otherwise an Error will be raised.
+   * exists. Otherwise, it is held in the device's offline queue (if enabled),
+   * or an Error will be raised. Requests for a device that is still being
+   * brought up to date (see restoreDevice()) wait until it is, and requests
+   * for a device whose offline queue has not yet been delivered join the
+   * queue, so that they are delivered in order.
    *
    * @param {OrganiqRequest} req request object
    */
   function finalHandlerDownstream(req) {
+    reachedEnd = Date.now();
 
     var device = app.devices[req.deviceid];
     if (!device) {
-      var msg = 'Device \'' + req.deviceid + '\' is not connected.';
-      debug(msg);
-      throw new Error(msg);
-    }
-
-    switch(req.method) {
-      case 'GET':
-        return device.get(req.identifier);
-      case 'SET':
-        return device.set(req.identifier, req.value) || true;
-      case 'INVOKE':
-        return device.invoke(req.identifier, req.params) || true;
-      case 'SUBSCRIBE':
-        return device.subscribe(req.identifier);
-      case 'DESCRIBE':
-        return device.describe(req.identifier);
-      case 'CONFIG':
-        return device.config(req.identifier, req.value);
-      default:
-        debug('Invalid request method: ' + req.method);
-        throw new Error(req.method + ' is not a valid downstream request');
+      // Hold the request until the device returns if it has offline queueing
+      // enabled.
+      var queue = app.getOfflineQueue(req.deviceid);
+      if (queue && queue.accepts(req)) {
+        return queue.enqueue(req);
+      }
+      if (hooks.deviceMissing.length > 0) {
+        return deviceMissing(req);
+      }
+      throw notConnected(req);
     }
+
+    var restoring = app.restoring[req.deviceid];
+    if (restoring) {
+      return restoring.then(function() {
+        return finalHandlerDownstream(req);
+      });
+    }
+
+    var pending = app.offlineQueues[req.deviceid];
+    if (pending && pending.isBusy()) {
+      var result = pending.enqueue(req);
+      app.drainOfflineQueue(req.deviceid);
+      return result;
+    }
+
+    return invokeDevice(app, device, req);
+  }
+
+  /**
+   * Give a request for a device that is not connected to the deviceMissing
+   * hooks, failing it if none answers.
+   *
+   * @param {OrganiqRequest} req
+   * @returns {Promise}
+   */
+  function deviceMissing(req) {
+    return hooks.deviceMissing.reduce(function(previous, fn) {
+      return previous.then(function(res) {
+        return (typeof res === 'undefined') ? fn(req) : res;
+      });
+    }, when.resolve(undefined)).then(function(res) {
+      if (typeof res === 'undefined') {
+        throw notConnected(req);
+      }
+      return res;
+    });
+  }
+
+  function notConnected(req) {
+    var msg = 'Device \'' + req.deviceid + '\' is not connected.';
+    debug(msg);
+    return new errors.NotConnectedError(msg, { deviceid: req.deviceid });
   }
 
   /**
@@ -319,36 +914,109 @@ Organiq.prototype.dispatch = function dispatch(req) {
    * middleware stack.
    *
    * If we are authoritative for this device, then any connected API clients
-   * will receive a copy of the request. If we are not authoritative, the node
-   * that is will be forwarded the request for processing.
+   * that have subscribed to the event or metric will receive a copy of the
+   * request, and the metric history is recorded. If we are not authoritative,
+   * the node that is will be forwarded the request for processing.
+   *
+   * The request is given to every proxy even if some fail to take it; the
+   * first failure is then thrown, so that it reaches the error and
+   * afterDispatch hooks.
    *
    * @param {OrganiqRequest} req request object
    * @returns {Boolean}
+   * @throws {Error} if any proxy failed to take the request
    */
   function finalHandlerUpstream(req) {
+    reachedEnd = Date.now();
+    if (req.method === 'PUT' &&
+        app.history.isTracked(req.deviceid, req.identifier) &&
+        app.getDeviceAuthority(req.deviceid).isLocal) {
+      app.history.record(req.deviceid, req.identifier, req.value,
+        req.timestamp);
+    }
+
     // if we are not authoritative, app.proxies will have exactly one entry -
     // the entry for the authoritative node.
     var proxies = app.proxies[req.deviceid] || [];
+    var failure = null;
     for (var i = 0; i < proxies.length; i++) {
       var proxy = proxies[i];
+      if (typeof proxy.isSubscribed === 'function' &&
+          !proxy.isSubscribed(req.identifier)) {
+        continue;
+      }
       try {
         switch (req.method) {
           case 'NOTIFY':
-            proxy.emit('notify', req.identifier, req.params);
+            proxy.emit('notify', req.identifier, req.params, req.context,
+              req.getMeta());
             break;
           case 'PUT':
-            proxy.emit('put', req.identifier, req.value);
+            proxy.emit('put', req.identifier, req.value, req.context,
+              req.getMeta());
             break;
         }
       } catch (err) {
         debug('proxy.emit ' + req.method + ' threw exception:' + err);
+        failure = failure || err;
       }
     }
+    if (failure) {
+      throw failure;
+    }
     return true;
   }
 };
 
 
+/**
+ * Pass an application-originated request to a device object.
+ *
+ * The request context is given to the device as a trailing `options`
+ * argument, so that device proxies can forward it to remote nodes.
+ *
+ * Configuration accepted by the device is saved, so that it can be restored
+ * when the device registers again.
+ *
+ * @param {Organiq} app
+ * @param {DeviceWrapper|WebSocketDeviceProxy} device
+ * @param {OrganiqRequest} req
+ * @returns {*} the result returned by the device
+ * @private
+ */
+function invokeDevice(app, device, req) {
+  var options = { context: req.context };
+  switch(req.method) {
+    case 'GET':
+      return device.get(req.identifier, options);
+    case 'SET':
+      return device.set(req.identifier, req.value, options) || true;
+    case 'INVOKE':
+      return device.invoke(req.identifier, req.params, options) || true;
+    case 'SUBSCRIBE':
+      return device.subscribe(req.identifier, options);
+    case 'UNSUBSCRIBE':
+      // not all devices care to know when subscriptions end
+      if (typeof device.unsubscribe !== 'function') {
+        return true;
+      }
+      return device.unsubscribe(req.identifier, options) || true;
+    case 'DESCRIBE':
+      return device.describe(req.identifier, options);
+    case 'CONFIG':
+      return when(device.config(req.identifier, req.value, options))
+        .then(function(res) {
+          return app.saveDeviceConfig(req.deviceid, req.identifier, req.value)
+            .yield(res);
+        });
+    default:
+      debug('Invalid request method: ' + req.method);
+      throw new errors.NotSupportedError(
+        req.method + ' is not a valid downstream request');
+  }
+}
+
+
 /**
  * Register a device (or device proxy) with the system.
  *
@@ -368,54 +1036,91 @@ Organiq.prototype.dispatch = function dispatch(req) {
 Organiq.prototype.register = function(deviceid, device) {
   var authority = this.getDeviceAuthority(deviceid);
   if (!authority.isValid) {
-    return when.reject(new Error(authority.err));
+    return when.reject(invalidDeviceId(authority));
   }
   deviceid = authority.deviceid;  // use the normalized device name
 
   // Make sure we haven't already registered this deviceid.
   var devices = this.devices;
-  if (typeof devices[deviceid] !== 'undefined') {
+  if (typeof devices[deviceid] !== 'undefined' || this.parked[deviceid]) {
     return when.reject(new Error(
       'Register called for already registered deviceid: ' + deviceid));
   }
 
+  // Hold devices whose gateway has not yet arrived (see delegate()).
+  if (authority.isParked) {
+    this.parked[deviceid] = device;
+    debug('Device parked until gateway is registered: ' + deviceid);
+    this.emit('deviceParked', deviceid);
+    return when.resolve(deviceid);
+  }
+
   if (typeof device.on === 'function') {
     // Pass device-originated messages from the device into the organiq
     // middleware stack.
+    // Device proxies may supply the context of the remote request, and the
+    // timestamp and sequence number assigned by the remote node. Devices may
+    // supply their own timestamp the same way.
     var self = this;
-    device.on('put', function onPut(metric, value) {
+    device.on('put', function onPut(metric, value, context, meta) {
       debug('LocalDevice '+deviceid+': PUT ' + metric + ',' + value);
-      req = self.request.put(deviceid, metric, value);
-      self.dispatch(req);
+      var req = self.request.put(deviceid, metric, value)
+        .setContext(context).setMeta(meta);
+      self.dispatch(req).catch(logUpstreamFailure);
     });
-    device.on('notify', function onNotify(event, args) {
+    device.on('notify', function onNotify(event, args, context, meta) {
       debug('LocalDevice '+deviceid+': NOTIFY ' + event + ',' + args);
-      req = self.request.notify(deviceid, event, args);
-      self.dispatch(req);
+      var req = self.request.notify(deviceid, event, args)
+        .setContext(context).setMeta(meta);
+      self.dispatch(req).catch(logUpstreamFailure);
     });
   }
 
   this.devices[deviceid] = device;
+  this.fetchSchema(deviceid, device);
   this.emit('deviceRegistered', deviceid);
 
   debug('Device registered: ' + deviceid);
 
+  this.saveDeviceRecord(authority, true);
+  this.restoreDevice(deviceid);
+
   // forward the registration to a configured gateway, if present.
   // (This is the normal case when we are running as a device container).
   // Note that we return synchronously to the local client, but the gateway
   // registration is asynchronous.
   if (authority.gateway) {
-    var proxy = new LocalDeviceProxy(this, deviceid);
-    if (!this.proxies[deviceid]) {
-      this.proxies[deviceid] = [];
-    }
-    this.proxies[deviceid].push(proxy);
-    return authority.gateway.register(deviceid, proxy);
+    return this.registerWithGateway(deviceid, authority.gateway);
   }
 
   return when.resolve(deviceid);
 };
 
+/**
+ * Register a locally-registered device with the gateway for its domain.
+ *
+ * Devices registered on behalf of another node (e.g., device proxies created
+ * by a transport) may have a `context` giving the request context of their
+ * registration, which is passed to the gateway so that it can tell where the
+ * registration came from.
+ *
+ * @param {String} deviceid normalized device id
+ * @param {Object} gateway
+ * @returns {Promise}
+ * @private
+ */
+Organiq.prototype.registerWithGateway = function(deviceid, gateway) {
+  var proxy = new LocalDeviceProxy(this, deviceid);
+  proxy.relay = true;
+  if (!this.proxies[deviceid]) {
+    this.proxies[deviceid] = [];
+  }
+  this.proxies[deviceid].push(proxy);
+  this.deviceGateways[deviceid] = gateway;
+  var device = this.devices[deviceid];
+  return gateway.register(deviceid, proxy, device && device.context);
+};
+
 /**
  * Removes a device registration from the system.
  *
@@ -428,32 +1133,46 @@ Organiq.prototype.register = function(deviceid, device) {
 Organiq.prototype.deregister = function(deviceid) {
   var authority = this.getDeviceAuthority(deviceid);
   if (!authority.isValid) {
-    return when.reject(new Error(authority.err));
+    return when.reject(invalidDeviceId(authority));
   }
   deviceid = authority.deviceid;  // use the normalized device name
 
+  if (this.parked[deviceid]) {
+    var parked = this.parked[deviceid];
+    delete this.parked[deviceid];
+    debug('Parked device deregistered: ' + deviceid);
+    return when(parked);
+  }
+
   if (typeof this.devices[deviceid] === 'undefined') {
     debug('deregister called for unregistered deviceid: ' + deviceid);
-    return when.reject(new Error(
+    return when.reject(new errors.NotConnectedError(
       'deregister of unregistered device: ' + deviceid));
   }
 
   var device = this.devices[deviceid];
-  device.removeAllListeners();
+  if (typeof device.removeAllListeners === 'function') {
+    device.removeAllListeners();
+  }
   delete this.devices[deviceid];
+  delete this.schemas[deviceid];
   this.emit('deviceDeregistered', deviceid);
 
   debug('Device deregistered: ' + deviceid);
 
+  this.saveDeviceRecord(authority, false);
+
   // Remove the LocalDeviceProxy that was created during registration and
   // tell the gateway to deregister it.
-  if (authority.gateway) {
+  var gateway = this.deviceGateways[deviceid];
+  if (gateway) {
     // there should be exactly one proxy in this case, as no proxy other than
     // the one used for the registration should be allowed (b/c we are not
     // authoritative for this device).
     // so, remove the entire entry
     delete this.proxies[deviceid];
-    return authority.gateway.deregister(deviceid);
+    delete this.deviceGateways[deviceid];
+    return gateway.deregister(deviceid);
   }
   return when(device);
 };
@@ -484,12 +1203,14 @@ Organiq.prototype.deregister = function(deviceid) {
  * registered.
  *
  * @param {string} deviceid Specifies the device to which to connect.
+ * @param {Object=} context request context (e.g., `principal`) to be applied
+ *  to every request made with the returned proxy.
  * @return {LocalDeviceProxy} device proxy (local or remote)
  */
-Organiq.prototype.connect = function(deviceid) {
+Organiq.prototype.connect = function(deviceid, context) {
   var authority = this.getDeviceAuthority(deviceid);
   if (!authority.isValid) {
-    return when.reject(new Error(authority.err));
+    return when.reject(invalidDeviceId(authority));
   }
   deviceid = authority.deviceid;  // use the normalized device name
 
@@ -498,7 +1219,7 @@ Organiq.prototype.connect = function(deviceid) {
   // proxy so that we can invoke it for device-originated messages from the
   // device.
   if (authority.isLocal) {
-    var proxy = new LocalDeviceProxy(this, deviceid);
+    var proxy = new LocalDeviceProxy(this, deviceid, context);
     if (!this.proxies[deviceid]) {
       this.proxies[deviceid] = [];
     }
@@ -509,12 +1230,16 @@ Organiq.prototype.connect = function(deviceid) {
     return proxy;
   }
 
+  if (authority.isParked) {
+    return when.reject(noGateway(authority));
+  }
+
   // We aren't authoritative for the device, so need to forward this request to
   // the authoritative node via the gateway. Note that we route through the
   // authoritative node even if the device is local (i.e., we are its device
   // container). This is necessary to ensure all requests for a device always
   // pass through the entire configured device stack.
-  return authority.gateway.connect(deviceid);
+  return authority.gateway.connect(deviceid, context);
 };
 
 /**
@@ -525,7 +1250,7 @@ Organiq.prototype.connect = function(deviceid) {
 Organiq.prototype.disconnect = function(proxy) {
   var authority = this.getDeviceAuthority(proxy.deviceid);
   if (!authority.isValid) {
-    return when.reject(new Error(authority.err));
+    return when.reject(invalidDeviceId(authority));
   }
   var deviceid = authority.deviceid;  // use the normalized device name
 
@@ -538,6 +1263,8 @@ Organiq.prototype.disconnect = function(proxy) {
         delete this.proxies[deviceid];
       }
     }
+  } else if (authority.isParked) {
+    return when.reject(noGateway(authority));
   } else {
     return authority.gateway.disconnect(proxy);
   }
@@ -546,7 +1273,12 @@ Organiq.prototype.disconnect = function(proxy) {
 /**
  * Register a gateway with the system.
  *
- * If devices for which this gateway is authoritative have already been
+ * The gateway is added to the routing table (see lib/routing) as a route for
+ * the domain and its subdomains. A domain may be given several gateways, in
+ * which case the one with the highest priority is used while it remains
+ * registered and available, and the others are standbys.
+ *
+ * If devices for which this gateway is now authoritative have already been
  * registered, they will be registered with the gateway.
  *
  * A `gatewayRegistered` event is raised upon successful completion.
@@ -558,58 +1290,507 @@ Organiq.prototype.disconnect = function(proxy) {
  *  May be a domain name or the wildcard '*' domain, in which case the gateway
  *  is considered authority for all domains.
  * @param {Object} gateway
- *
+ * @param {Object=} options
+ * @param {Number=} options.priority priority of the gateway among those for
+ *  the same domain; higher priorities are preferred. Default is zero.
+ * @throws {Error} if the gateway is already registered for the domain
  */
-Organiq.prototype.registerGateway = function(domain, gateway) {
+Organiq.prototype.registerGateway = function(domain, gateway, options) {
   domain = domain.toLowerCase();
-  if (this.gateways[domain]) {
-    throw new Error('Gateway already registered.');
-  }
-  this.gateways[domain] = gateway;
-
-  if (this.localAuthorityIfNoGateway) {
-    // In this transitional case, we may have registered devices locally that
-    // should be registered with this gateway. Enumerate the registered devices,
-    // and for any that we determine the authority should be this new gateway,
-    // register them.
-    var devices = this.devices;
-    for (var deviceid in devices) {
-      if (devices.hasOwnProperty(deviceid)) {
-        var authority = this.getDeviceAuthority(deviceid);
-        if (authority.gateway === gateway) {
-          // TODO: This code is duplicated from register()
-          var proxy = new LocalDeviceProxy(this, deviceid);
-          if (!this.proxies[deviceid]) {
-            this.proxies[deviceid] = [];
-          }
-          this.proxies[deviceid].push(proxy);
-          gateway.register(deviceid, proxy);
-        }
-      }
-    }
-
-  }
-  debug('Gateway registered.');
+  this.routes.add(domain, gateway, options);
+  this.updateRoutes();
+  debug('Gateway registered for ' + domain);
 
   this.emit('gatewayRegistered', domain);
   return gateway;
 };
 
+function logGatewayFailure(err) {
+  debug('Gateway registration failed: ' + err);
+}
+
 /**
  * Remove a gateway.
  *
+ * The proxies created to forward local devices to the gateway are discarded.
+ * Devices are registered with the next gateway for their domain, if there is
+ * one. Otherwise, the devices remain registered (or, in strict mode, are
+ * parked if their domain is delegated), and will be registered again if a
+ * gateway for the domain is subsequently registered.
+ *
+ * @param {String} domain
+ * @param {Object=} gateway if given, only this gateway is removed from the
+ *  domain's routes. Otherwise, all gateways for the domain are removed.
+ * @throws {Error} if there is no such gateway
  */
-Organiq.prototype.deregisterGateway = function(domain) {
+Organiq.prototype.deregisterGateway = function(domain, gateway) {
   domain = domain.toLowerCase();
-  if (!this.gateways[domain]) {
+  if (this.routes.remove(domain, gateway).length === 0) {
     throw new Error('There is no registered gateway.');
   }
-  delete this.gateways[domain];
-
-  debug('Gateway deregistered.');
+  this.updateRoutes();
+  debug('Gateway deregistered for ' + domain);
   return true;
 };
 
+/**
+ * Mark a gateway as available or unavailable for routing.
+ *
+ * While a gateway is unavailable, requests for its domains fail over to the
+ * next gateway for the domain (or for a parent domain), as if it had been
+ * deregistered.
+ *
+ * @param {Object} gateway
+ * @param {Boolean} available
+ * @returns {Boolean} true if the gateway has any routes
+ */
+Organiq.prototype.setGatewayAvailable = function(gateway, available) {
+  var found = this.routes.setAvailable(gateway, available) > 0;
+  this.updateRoutes();
+  return found;
+};
+
+/**
+ * Bring gateways and device registrations up to date after the routing
+ * table has changed.
+ *
+ * Devices registered with a gateway that is no longer their authority are
+ * registered with the one that is (or become local, or are parked), and
+ * parked devices whose gateway has arrived are registered with it.
+ *
+ * @private
+ */
+Organiq.prototype.updateRoutes = function() {
+  var self = this;
+  this.gateways = this.routes.getActiveGateways();
+
+  Object.keys(this.devices).forEach(function(deviceid) {
+    var current = self.deviceGateways[deviceid] || null;
+    var authority = self.getDeviceAuthority(deviceid);
+    var target = authority.gateway || null;
+    if (current === target) {
+      return;
+    }
+    if (current) {
+      // Tell the old gateway, if it is still around, that the device has
+      // moved. The proxy used for the registration is no longer needed.
+      delete self.proxies[deviceid];
+      delete self.deviceGateways[deviceid];
+      if (self.routes.hasGateway(current)) {
+        when.try(function() {
+          return current.deregister(deviceid);
+        }).catch(logGatewayFailure);
+      }
+    }
+    if (authority.isParked) {
+      var device = self.devices[deviceid];
+      self.deregister(deviceid);
+      self.parked[deviceid] = device;
+      self.emit('deviceParked', deviceid);
+    } else if (target) {
+      when(self.registerWithGateway(deviceid, target))
+        .catch(logGatewayFailure);
+    }
+  });
+
+  // Devices parked while waiting for a gateway can now be registered.
+  Object.keys(this.parked).forEach(function(deviceid) {
+    if (!self.getDeviceAuthority(deviceid).isParked) {
+      var device = self.parked[deviceid];
+      delete self.parked[deviceid];
+      self.register(deviceid, device).catch(logGatewayFailure);
+    }
+  });
+};
+
+
+/**
+ * Enable offline queueing for a device.
+ *
+ * Application-originated requests for a device with offline queueing enabled
+ * are held when the device is not connected, rather than failing immediately.
+ * They are delivered in order once the device is registered again. See
+ * OfflineQueue for a description of the available options.
+ *
+ * @param {String} deviceid Device id, or a wildcard pattern matching
+ *  normalized device ids (e.g., 'example.com:*').
+ * @param {Object=} options
+ * @param {Number=} options.ttl time (in milliseconds) a request may be held
+ * @param {Number=} options.maxSize maximum number of requests held per device
+ * @param {Array<String>=} options.methods request methods that are held
+ * @returns {Organiq}
+ */
+Organiq.prototype.enableOfflineQueue = function(deviceid, options) {
+  if (!pattern.isPattern(deviceid)) {
+    deviceid = this.getDeviceAuthority(deviceid).deviceid;
+  }
+  this.offlineQueuePolicies.push({ pattern: deviceid, options: options || {} });
+  return this;
+};
+
+/**
+ * Get the offline queue for a device, creating it if queueing is enabled.
+ *
+ * @param {String} deviceid normalized device id
+ * @returns {OfflineQueue|null}
+ * @private
+ */
+Organiq.prototype.getOfflineQueue = function(deviceid) {
+  var queue = this.offlineQueues[deviceid];
+  if (queue) {
+    return queue;
+  }
+  var policies = this.offlineQueuePolicies;
+  for (var i = 0; i < policies.length; i++) {
+    if (pattern.matches(policies[i].pattern, deviceid)) {
+      return this.createOfflineQueue(deviceid, policies[i].options);
+    }
+  }
+  return null;
+};
+
+/**
+ * Create the offline queue for a device.
+ *
+ * The contents of the queue are saved whenever they change.
+ *
+ * @param {String} deviceid normalized device id
+ * @param {Object} options OfflineQueue options
+ * @returns {OfflineQueue}
+ * @private
+ */
+Organiq.prototype.createOfflineQueue = function(deviceid, options) {
+  var storage = this.storage;
+  var queueOptions = Object.create(options);
+  queueOptions.onChange = function(queue) {
+    var requests = queue.getInfo();
+    var saved = requests.length ? storage.set('queues', deviceid, requests) :
+      storage.remove('queues', deviceid);
+    saved.catch(logStorageFailure);
+  };
+  var queue = new OfflineQueue(deviceid, queueOptions);
+  this.offlineQueues[deviceid] = queue;
+  return queue;
+};
+
+/**
+ * Reload requests held for disconnected devices from storage.
+ *
+ * The callers that made the restored requests are no longer waiting, so the
+ * results of delivering them are discarded.
+ *
+ * @returns {Promise} a promise that resolves when all saved requests have
+ *  been queued.
+ * @private
+ */
+Organiq.prototype.restoreOfflineQueues = function() {
+  var self = this;
+  return this.storage.list('queues').then(function(saved) {
+    Object.keys(saved).forEach(function(deviceid) {
+      var queue = self.getOfflineQueue(deviceid) ||
+        self.createOfflineQueue(deviceid, {});
+      saved[deviceid].forEach(function(info) {
+        var req = new self.request(deviceid, info.method);
+        req.identifier = info.identifier;
+        req.value = info.value;
+        req.params = info.params;
+        req.context.deadline = info.expiresAt;
+        queue.enqueue(req).catch(function(err) {
+          debug('Restored ' + info.method + ' for ' + deviceid +
+            ' failed: ' + err.message);
+        });
+      });
+      debug('Restored ' + saved[deviceid].length + ' queued requests for ' +
+        deviceid);
+      if (self.devices[deviceid]) {
+        self.drainOfflineQueue(deviceid);
+      }
+    });
+  }).catch(logStorageFailure);
+};
+
+/**
+ * Deliver requests held while a device was not connected.
+ *
+ * @param {String} deviceid normalized device id
+ * @returns {Promise} a promise that resolves when all requests are delivered
+ * @private
+ */
+Organiq.prototype.drainOfflineQueue = function(deviceid) {
+  var queue = this.offlineQueues[deviceid];
+  if (!queue) {
+    return when.resolve();
+  }
+  var self = this;
+  return queue.drain(function deliver(req) {
+    var device = self.devices[deviceid];
+    if (!device) {
+      throw new errors.NotConnectedError(
+        'Device \'' + deviceid + '\' is not connected.', { deviceid: deviceid });
+    }
+    return invokeDevice(self, device, req);
+  });
+};
+
+/**
+ * Bring a newly-registered device up to date.
+ *
+ * Configuration saved for the device is applied again, after which any
+ * requests held while the device was not connected are delivered. This
+ * happens asynchronously, so that the device registration completes before
+ * the device receives any requests. Other requests for the device wait until
+ * it is up to date.
+ *
+ * Saved configuration is given directly to the device, as it was accepted
+ * once already. It is applied only by the node to which the device is
+ * attached: a device whose registration was forwarded from another node is
+ * brought up to date by that node.
+ *
+ * @param {String} deviceid normalized device id
+ * @returns {Promise}
+ * @private
+ */
+Organiq.prototype.restoreDevice = function(deviceid) {
+  if (this.restoring[deviceid]) {
+    return this.restoring[deviceid];
+  }
+  var self = this;
+  var device = this.devices[deviceid];
+  var forwarded = !!(device && device.context &&
+                     Array.isArray(device.context.via));
+  var config = forwarded ? when.resolve() : this.storage.get('config', deviceid);
+  var restoring = config.then(function(config) {
+    config = config || {};
+    return Object.keys(config).reduce(function(previous, identifier) {
+      return previous.then(function() {
+        if (self.devices[deviceid] !== device) {
+          return;   // deregistered in the meantime
+        }
+        debug('Restoring config ' + identifier + ' for ' + deviceid);
+        var req = self.request.config(deviceid, identifier, config[identifier]);
+        return invokeDevice(self, device, req);
+      });
+    }, when.resolve());
+  }).then(function() {
+    return self.drainOfflineQueue(deviceid);
+  }).catch(function(err) {
+    debug('Failed to restore device ' + deviceid + ': ' + err.message);
+  }).ensure(function() {
+    if (self.restoring[deviceid] === restoring) {
+      delete self.restoring[deviceid];
+    }
+  });
+  this.restoring[deviceid] = restoring;
+  return restoring;
+};
+
+/**
+ * Save configuration accepted by a device.
+ *
+ * @param {String} deviceid normalized device id
+ * @param {String} identifier
+ * @param {*} value
+ * @returns {Promise}
+ * @private
+ */
+Organiq.prototype.saveDeviceConfig = function(deviceid, identifier, value) {
+  return this.storage.update('config', deviceid, function(config) {
+    config = config || {};
+    config[identifier] = value;
+    return config;
+  }).catch(logStorageFailure);
+};
+
+/**
+ * @name KnownDevice
+ * @property {String} deviceid Normalized fully-qualified device name
+ * @property {String} domain Normalized domain name
+ * @property {Boolean} isLocal True if the local node is authoritative
+ * @property {Boolean} connected True if the device is currently registered
+ * @property {Number} firstRegistered time of first registration (ms since
+ *  epoch)
+ * @property {Number} lastRegistered time of most recent registration
+ * @property {Number|null} lastDeregistered time of most recent deregistration
+ */
+
+/**
+ * Record the registration or deregistration of a device.
+ *
+ * Devices in the local (non-routed) domain are not recorded.
+ *
+ * @param {AuthorityInfo} authority
+ * @param {Boolean} connected
+ * @returns {Promise}
+ * @private
+ */
+Organiq.prototype.saveDeviceRecord = function(authority, connected) {
+  if (authority.domain === '') {
+    return when.resolve();
+  }
+  var now = Date.now();
+  return this.storage.update('devices', authority.deviceid, function(record) {
+    record = record || {
+      deviceid: authority.deviceid,
+      domain: authority.domain,
+      firstRegistered: now,
+      lastRegistered: null,
+      lastDeregistered: null
+    };
+    record.isLocal = !authority.gateway;
+    record.connected = connected;
+    record[connected ? 'lastRegistered' : 'lastDeregistered'] = now;
+    return record;
+  }).catch(logStorageFailure);
+};
+
+/**
+ * Get information about all devices that have registered with this node,
+ * including those registered before the node was last restarted.
+ *
+ * @returns {Promise<Array<KnownDevice>>}
+ * @private
+ */
+Organiq.prototype.getKnownDeviceInfo = function() {
+  return this.storage.list('devices').then(function(records) {
+    return Object.keys(records).map(function(deviceid) {
+      return records[deviceid];
+    });
+  });
+};
+
+/**
+ * Fetch and cache the schema of a newly-registered device.
+ *
+ * Requests for the device are validated against its schema by dispatch().
+ * Devices that do not implement describe(), or fail to answer it, are not
+ * validated.
+ *
+ * Proxies for devices attached to other nodes (those with a true `remote`
+ * property) are skipped, as the node to which the device is attached
+ * validates requests before they reach the device.
+ *
+ * @param {String} deviceid normalized device id
+ * @param {DeviceWrapper|WebSocketDeviceProxy} device
+ * @private
+ */
+Organiq.prototype.fetchSchema = function(deviceid, device) {
+  var schemas = this.schemas;
+  if (typeof device.describe !== 'function' || device.remote) {
+    return;
+  }
+
+  var result;
+  try {
+    result = device.describe();
+  } catch (err) {
+    debug('Failed to get schema for ' + deviceid + ': ' + err.message);
+    return;
+  }
+  if (!when.isPromiseLike(result)) {
+    schemas[deviceid] = result;
+    return;
+  }
+
+  var pending = when(result).then(function(deviceSchema) {
+    return deviceSchema;
+  }, function(err) {
+    debug('Failed to get schema for ' + deviceid + ': ' + err.message);
+    return null;
+  }).then(function(deviceSchema) {
+    // the device may have been deregistered (or registered again) meanwhile
+    if (schemas[deviceid] === pending) {
+      schemas[deviceid] = deviceSchema;
+    }
+  });
+  schemas[deviceid] = pending;
+};
+
+/**
+ * Get the cached schema of a registered device.
+ *
+ * @param {String} deviceid
+ * @returns {Object|null} the device schema, or null if it is not known
+ */
+Organiq.prototype.getSchema = function(deviceid) {
+  deviceid = this.getDeviceAuthority(deviceid).deviceid;
+  var deviceSchema = this.schemas[deviceid];
+  return (deviceSchema && !when.isPromiseLike(deviceSchema)) ?
+    deviceSchema : null;
+};
+
+/**
+ * Define the statistics kept by a node.
+ *
+ * Transports define their own statistics (e.g., messages sent) when they are
+ * created.
+ *
+ * @param {Organiq} app
+ * @private
+ */
+function defineStats(app) {
+  var stats = app.stats;
+  var count = function(obj) {
+    return function() { return Object.keys(obj()).length; };
+  };
+  stats.define('organiq_requests_total', 'counter',
+    'Requests dispatched, by method and registered device.');
+  stats.define('organiq_request_failures_total', 'counter',
+    'Requests dispatched that failed, by method and registered device.');
+  stats.define('organiq_request_duration_seconds', 'histogram',
+    'Time to complete dispatched requests, by method and registered device.');
+  stats.define('organiq_middleware_duration_seconds', 'histogram',
+    'Time for dispatched requests to pass through the middleware stack.');
+  stats.define('organiq_devices', 'gauge', 'Registered devices.',
+    { collect: count(function() { return app.devices; }) });
+  stats.define('organiq_gateways', 'gauge', 'Registered gateways.',
+    { collect: count(function() { return app.gateways; }) });
+  stats.define('organiq_offline_requests', 'gauge',
+    'Requests held for devices that are not connected.',
+    { collect: function() {
+      return app.getOfflineQueueInfo().reduce(function(n, queue) {
+        return n + queue.requests.length;
+      }, 0);
+    } });
+}
+
+function invalidDeviceId(authority) {
+  return new errors.InvalidDeviceIdError(authority.err,
+    { deviceid: authority.deviceid });
+}
+
+function noGateway(authority) {
+  return new errors.NotConnectedError('No gateway is registered for domain \'' +
+    authority.domain + '\'.', { deviceid: authority.deviceid });
+}
+
+function logUpstreamFailure(err) {
+  debug('Device-originated request failed: ' + err.message);
+}
+
+function logStorageFailure(err) {
+  debug('Failed to update storage: ' + err.message);
+}
+
+/**
+ * @name OfflineQueueInfo
+ * @property {String} deviceid
+ * @property {Array<QueuedRequestInfo>} requests
+ */
+
+/**
+ * Get information about requests held for devices that are not connected.
+ *
+ * @return {Array<OfflineQueueInfo>} list of non-empty offline queues
+ * @private
+ */
+Organiq.prototype.getOfflineQueueInfo = function() {
+  var queues = this.offlineQueues;
+  return Object.keys(queues).filter(function(deviceid) {
+    return queues[deviceid].entries.length > 0;
+  }).map(function(deviceid) {
+    return { deviceid: deviceid, requests: queues[deviceid].getInfo() };
+  });
+};
 
 /**
  * @name AttachedDevice
@@ -641,6 +1822,100 @@ Organiq.prototype.getAttachedDeviceInfo = function() {
   return registeredDevices;
 };
 
+/**
+ * @name GatewayInfo
+ * @property {String} domain domain for which the gateway is authoritative
+ * @property {Array<String>} devices locally registered devices routed
+ *  through the gateway
+ */
+
+/**
+ * Get information about registered gateways.
+ *
+ * @return {Array<GatewayInfo>}
+ * @private
+ */
+Organiq.prototype.getGatewayInfo = function() {
+  var self = this;
+  var deviceids = Object.keys(this.devices);
+  return Object.keys(this.gateways).map(function(domain) {
+    var gateway = self.gateways[domain];
+    return {
+      domain: domain,
+      devices: deviceids.filter(function(deviceid) {
+        return self.getDeviceAuthority(deviceid).gateway === gateway;
+      })
+    };
+  });
+};
+
+/**
+ * @name RouteInfo
+ * @property {String} domain
+ * @property {String} gatewayid identifies the gateway (gateways registered
+ *  for several domains have the same id in each)
+ * @property {Number} priority
+ * @property {Boolean} available
+ * @property {Boolean} active true if the route is the one used for its domain
+ */
+
+/**
+ * Get information about the routing table.
+ *
+ * @return {Array<RouteInfo>}
+ * @private
+ */
+Organiq.prototype.getRouteInfo = function() {
+  var routes = this.routes;
+  return routes.routes.map(function(route) {
+    return {
+      domain: route.domain,
+      gatewayid: route.gatewayid,
+      priority: route.priority,
+      available: route.available,
+      active: routes.getActiveRoute(route.domain) === route
+    };
+  });
+};
+
+/**
+ * @name ProxyInfo
+ * @property {String} deviceid
+ * @property {Array<{proxyid: String, principal: *, transport: String}>}
+ *  proxies the proxies connected to the device, with the context they were
+ *  connected with
+ */
+
+/**
+ * Get information about connected device proxies.
+ *
+ * @return {Array<ProxyInfo>}
+ * @private
+ */
+Organiq.prototype.getProxyInfo = function() {
+  var proxies = this.proxies;
+  return Object.keys(proxies).map(function(deviceid) {
+    return {
+      deviceid: deviceid,
+      proxies: proxies[deviceid].map(function(proxy) {
+        var context = proxy.context || {};
+        return {
+          proxyid: proxy.proxyid,
+          principal: context.principal || null,
+          transport: context.transport || null
+        };
+      })
+    };
+  });
+};
+
+
+var DEFAULT_MAX_HOPS = 8;
+var MAX_SAFE_INTEGER = 9007199254740991;
+function newId() {
+  return Math.floor(Math.random() * MAX_SAFE_INTEGER).toString();
+}
+
 /**
  * Expose the request constructor as a property on the app object.
  *
@@ -663,45 +1938,126 @@ Organiq.prototype.request = req;
  *
  * var proxy = organiq.connect(...);
  * proxy.get('someProp');
- * proxy.on('put', function onPut(metric, value) { ... });
- * proxy.on('notify', function onNotify(event, args) { ... });
+ * proxy.on('put', function onPut(metric, value, context, meta) { ... });
+ * proxy.on('notify', function onNotify(event, args, context, meta) { ... });
+ *
+ * Listeners are given the context of the device-originated request, and its
+ * MessageMeta: the time it occurred (as reported by the device, or else by
+ * the node to which the device is attached), and a sequence number that
+ * increases by one with each PUT or NOTIFY from the device. A receiver that
+ * sees the sequence number jump has missed messages (bearing in mind that a
+ * proxy with subscriptions receives only some of them). Sequence numbers start
+ * again at 1 when the node to which the device is attached restarts.
+ *
+ * The recorded history of a metric (see lib/history) can be queried with
+ * history(), e.g. `proxy.history('temperature', { from: -3600000 })`. This is
+ * answered by the core device of the node.
+ *
+ * Subscriptions made with subscribe() are tracked by the proxy, and only
+ * matching events and metrics are delivered to it. Subscriptions may use
+ * wildcard patterns (e.g., 'temp*'). For compatibility, a proxy that has never
+ * subscribed receives every event and metric. A proxy given to a gateway for
+ * a device registration (a `relay`) is shared by every client of the
+ * authoritative node, so it passes subscription requests on to the device
+ * without tracking them, and receives every event and metric; each client's
+ * subscriptions are tracked by its own proxy on the authoritative node.
  *
- * We do not currently track identity or other context information with the
- * proxy, but we are likely to do so in the future.
+ * A context (e.g., the identity of the client) may be associated with the
+ * proxy, in which case it is applied to every request made through it. Each
+ * method also accepts a trailing `options` argument whose `context` is
+ * applied to that request only (e.g., the context of a remote request being
+ * relayed by a transport).
  *
  * @param {Organiq} organiq
  * @param deviceid
+ * @param {Object=} context
  * @constructor
  */
-function LocalDeviceProxy(organiq, deviceid) {
+function LocalDeviceProxy(organiq, deviceid, context) {
+  this.proxyid = String(++lastProxyId);  // identifies the proxy to the node
   this.deviceid = deviceid;
+  this.context = context || null;
+  this.subscriptions = null;  // subscribed patterns (null if never subscribed)
+  this.relay = false;         // true if given to a gateway for a registration
 
-  this.get = function(property) {
-    var req = organiq.request.get(deviceid, property);
+  var self = this;
+  function dispatch(req, options) {
+    req.setContext(self.context);
+    req.setContext(options && options.context);
     return organiq.dispatch(req);
+  }
+
+  this.get = function(property, options) {
+    var req = organiq.request.get(deviceid, property);
+    return dispatch(req, options);
   };
-  this.set = function(property, value) {
+  this.set = function(property, value, options) {
     var req = organiq.request.set(deviceid, property, value);
-    return organiq.dispatch(req);
+    return dispatch(req, options);
   };
-  this.invoke = function(method, params) {
+  this.invoke = function(method, params, options) {
     var req = organiq.request.invoke(deviceid, method, params);
-    return organiq.dispatch(req);
+    return dispatch(req, options);
   };
-  this.subscribe = function(event) {
+  this.subscribe = function(event, options) {
     var req = organiq.request.subscribe(deviceid, event);
-    return organiq.dispatch(req);
+    return dispatch(req, options).then(function(res) {
+      if (self.relay) {
+        return res;
+      }
+      self.subscriptions = self.subscriptions || [];
+      if (self.subscriptions.indexOf(event) === -1) {
+        self.subscriptions.push(event);
+      }
+      return res;
+    });
   };
-  this.describe = function(property) {
+  this.unsubscribe = function(event, options) {
+    var req = organiq.request.unsubscribe(deviceid, event);
+    return dispatch(req, options).then(function(res) {
+      var subscriptions = self.subscriptions || [];
+      var idx = subscriptions.indexOf(event);
+      if (idx > -1) {
+        subscriptions.splice(idx, 1);
+      }
+      return res;
+    });
+  };
+  this.describe = function(property, options) {
     var req = organiq.request.describe(deviceid, property);
-    return organiq.dispatch(req);
+    return dispatch(req, options);
   };
-  this.config = function(property, value) {
+  this.config = function(property, value, options) {
     var req = organiq.request.config(deviceid, property, value);
-    return organiq.dispatch(req);
+    return dispatch(req, options);
+  };
+  this.history = function(metric, query, options) {
+    var params = { deviceid: deviceid, metric: metric };
+    Object.keys(query || {}).forEach(function(key) {
+      params[key] = query[key];
+    });
+    var req = organiq.request.invoke(':core', 'QueryHistory', params);
+    return dispatch(req, options);
   };
 
   // emits 'put' and 'notify' events
 }
 util.inherits(LocalDeviceProxy, EventEmitter);
 
+var lastProxyId = 0;
+
+/**
+ * Determine whether an event or metric should be delivered to this proxy.
+ *
+ * @param {String} identifier event or metric name
+ * @returns {Boolean}
+ */
+LocalDeviceProxy.prototype.isSubscribed = function(identifier) {
+  if (this.relay || !this.subscriptions) {
+    return true;
+  }
+  return this.subscriptions.some(function(p) {
+    return pattern.matches(p, identifier);
+  });
+};
+
@@ -0,0 +1,75 @@
+/**
+ * Wildcard pattern matching.
+ *
+ * Patterns are simple globs, used for example to subscribe to a set of events
+ * or metrics by name. In a pattern, `*` matches any sequence of characters
+ * (including none), and `?` matches exactly one character. All other
+ * characters match themselves. Matching is case-sensitive.
+ *
+ * var pattern = require('./pattern');
+ * pattern.matches('temp*', 'temperature'); // true
+ *
+ */
+
+/**
+ * Module exports.
+ */
+exports.compile = compile;
+exports.matches = matches;
+exports.isPattern = isPattern;
+
+// Compiled regular expressions of the most recently used patterns, by
+// pattern. Patterns may come from clients (e.g., in subscriptions), so only a
+// limited number are kept.
+var CACHE_SIZE = 256;
+var cache = Object.create(null);
+var cacheOrder = [];  // patterns in `cache`, least recently used first
+
+/**
+ * Compile a wildcard pattern to a regular expression.
+ *
+ * @param {String} pattern
+ * @returns {RegExp}
+ */
+function compile(pattern) {
+  pattern = String(pattern);
+  var re = cache[pattern];
+  if (re) {
+    cacheOrder.splice(cacheOrder.indexOf(pattern), 1);
+  } else {
+    var source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    re = cache[pattern] = new RegExp('^' + source + '$');
+    if (cacheOrder.length >= CACHE_SIZE) {
+      delete cache[cacheOrder.shift()];
+    }
+  }
+  cacheOrder.push(pattern);
+  return re;
+}
+
+/**
+ * Determine whether a name matches a wildcard pattern.
+ *
+ * @param {String} pattern
+ * @param {String} name
+ * @returns {Boolean}
+ */
+function matches(pattern, name) {
+  if (pattern === name || pattern === '*') {
+    return true;
+  }
+  return compile(pattern).test(name);
+}
+
+/**
+ * Determine whether a string contains wildcard characters.
+ *
+ * @param {String} s
+ * @returns {Boolean}
+ */
+function isPattern(s) {
+  return /[*?]/.test(s);
+}
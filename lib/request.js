@@ -9,8 +9,8 @@
 
 var exports = module.exports = OrganiqRequest;
 var upstreamMethods = ['NOTIFY', 'PUT'];
-var downstreamMethods = ['GET', 'SET', 'INVOKE', 'SUBSCRIBE', 'CONFIG',
-                         'DESCRIBE'];
+var downstreamMethods = ['GET', 'SET', 'INVOKE', 'SUBSCRIBE', 'UNSUBSCRIBE',
+                         'CONFIG', 'DESCRIBE'];
 
 /*
  * Internal request representation.
@@ -36,6 +36,20 @@ function OrganiqRequest(deviceid, method) {
   this.value = null;      // property or metric value being SET or PUT
   this.params = {};       // parameters of method or event (INVOKE or NOTIFY)
   this.reqid = null;      // unique request id used for overlapped requests
+  this.timestamp = null;  // time (ms since epoch) a PUT or NOTIFY occurred
+  this.sequence = null;   // per-device sequence number of a PUT or NOTIFY
+
+  // Information about the origin of the request. Transports populate this
+  // when a request is received, and it travels with the request across nodes.
+  this.context = {
+    principal: null,      // identity of the originating caller, if known
+    transport: null,      // transport on which the request originated
+    connectionId: null,   // transport connection on which it originated
+    correlationId: null,  // identifies the request across nodes
+    deadline: null,       // time (ms since epoch) after which it is abandoned
+    hops: null,           // number of times it has been forwarded by a node
+    via: null             // ids of the nodes that forwarded it, in order
+  };
 }
 
 exports.get = function(deviceid, property) {
@@ -60,6 +74,11 @@ exports.subscribe = function(deviceid, event) {
   req.identifier = event;
   return req;
 };
+exports.unsubscribe = function(deviceid, event) {
+  var req = new OrganiqRequest(deviceid, 'UNSUBSCRIBE');
+  req.identifier = event;
+  return req;
+};
 exports.describe = function(deviceid, property) {
   var req = new OrganiqRequest(deviceid, 'DESCRIBE');
   req.identifier = property;
@@ -89,6 +108,62 @@ exports.notify = function(deviceid, event, params) {
  */
 var proto = OrganiqRequest.prototype;
 
+/**
+ * Copy the given properties into the request context.
+ *
+ * Null or undefined properties are ignored, so this can be called with a
+ * partially-populated (or undefined) context object.
+ *
+ * @param {Object=} context
+ * @returns {OrganiqRequest} this request
+ */
+proto.setContext = function setContext(context) {
+  if (context) {
+    for (var key in context) {
+      if (context.hasOwnProperty(key) && context[key] !== null &&
+          typeof context[key] !== 'undefined') {
+        this.context[key] = context[key];
+      }
+    }
+  }
+  return this;
+};
+
+/**
+ * Set the timestamp and sequence number of a device-originated request.
+ *
+ * Null or undefined properties are ignored, as for setContext().
+ *
+ * @param {MessageMeta=} meta
+ * @returns {OrganiqRequest} this request
+ */
+proto.setMeta = function setMeta(meta) {
+  if (meta) {
+    if (meta.timestamp !== null && typeof meta.timestamp !== 'undefined') {
+      this.timestamp = meta.timestamp;
+    }
+    if (meta.sequence !== null && typeof meta.sequence !== 'undefined') {
+      this.sequence = meta.sequence;
+    }
+  }
+  return this;
+};
+
+/**
+ * @name MessageMeta
+ * @property {Number} timestamp time (ms since epoch) the message occurred
+ * @property {Number} sequence per-device sequence number of the message
+ */
+
+/**
+ * Get the timestamp and sequence number of a device-originated request.
+ *
+ * @returns {MessageMeta}
+ */
+proto.getMeta = function getMeta() {
+  return { timestamp: this.timestamp, sequence: this.sequence };
+};
+
 /**
  * Specifies whether the request originated from an application request
  * (as opposed to a device notification).
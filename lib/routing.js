@@ -0,0 +1,252 @@
+/**
+ * Gateway routing table.
+ *
+ * The routing table determines which gateway (if any) requests for a domain
+ * are forwarded to. Each route gives a domain, a gateway, and a priority. A
+ * route for a domain also covers its subdomains, so that a route for
+ * 'eu.acme' is used for 'eu.acme', 'plant1.eu.acme', and so on; the route
+ * for the most specific (longest) matching domain is used. A route for '*'
+ * matches every domain, and is used only if no other route does.
+ *
+ * A domain may have several candidate routes, through different gateways.
+ * The available route with the highest priority is used, and if it becomes
+ * unavailable (or is removed), the next one takes over. If every route for a
+ * domain is unavailable, routes for less specific domains are used.
+ *
+ * var routes = new RoutingTable();
+ * routes.add('eu.acme', gatewayA, { priority: 10 });
+ * routes.add('eu.acme', gatewayB);        // standby for gatewayA
+ * routes.add('*', cloudGateway);
+ * routes.lookup('plant1.eu.acme').gateway; // gatewayA
+ *
+ */
+
+/**
+ * Module exports.
+ */
+module.exports = RoutingTable;
+module.exports.specificity = specificity;
+
+/**
+ * @name Route
+ * @property {String} domain normalized (lower-case) domain, or '*'
+ * @property {Object} gateway
+ * @property {String} gatewayid identifies the gateway within the table; a
+ *  gateway routed for several domains has the same id in each route
+ * @property {Number} priority higher priorities are preferred
+ * @property {Boolean} available false if the route may not be used
+ */
+
+/**
+ * Collection of gateway routes.
+ *
+ * @returns {RoutingTable}
+ * @constructor
+ */
+function RoutingTable() {
+  if (!(this instanceof RoutingTable)) {
+    return new RoutingTable();
+  }
+  this.routes = [];   // Route objects, in the order added
+  this.nextGatewayId = 1;
+}
+
+/**
+ * Add a route.
+ *
+ * @param {String} domain
+ * @param {Object} gateway
+ * @param {Object=} options
+ * @param {Number=} options.priority priority of the route among the routes
+ *  for the same domain. Default is zero.
+ * @returns {Route} the new route
+ * @throws {Error} if the gateway is already routed for the domain
+ */
+RoutingTable.prototype.add = function(domain, gateway, options) {
+  options = options || {};
+  domain = domain.toLowerCase();
+  if (this.find(domain, gateway)) {
+    throw new Error('Gateway already registered.');
+  }
+  var existing = this.routes.filter(function(route) {
+    return route.gateway === gateway;
+  })[0];
+  var route = {
+    domain: domain,
+    gateway: gateway,
+    gatewayid: existing ? existing.gatewayid : 'gw' + this.nextGatewayId++,
+    priority: options.priority || 0,
+    available: true
+  };
+  this.routes.push(route);
+  return route;
+};
+
+/**
+ * Remove the routes for a domain.
+ *
+ * @param {String} domain
+ * @param {Object=} gateway if given, only the route through this gateway is
+ *  removed.
+ * @returns {Array<Route>} the removed routes
+ */
+RoutingTable.prototype.remove = function(domain, gateway) {
+  domain = domain.toLowerCase();
+  var removed = [];
+  this.routes = this.routes.filter(function(route) {
+    if (route.domain === domain && (!gateway || route.gateway === gateway)) {
+      removed.push(route);
+      return false;
+    }
+    return true;
+  });
+  return removed;
+};
+
+/**
+ * Find the route for a domain through a given gateway.
+ *
+ * @param {String} domain
+ * @param {Object} gateway
+ * @returns {Route|null}
+ */
+RoutingTable.prototype.find = function(domain, gateway) {
+  domain = domain.toLowerCase();
+  for (var i = 0; i < this.routes.length; i++) {
+    var route = this.routes[i];
+    if (route.domain === domain && route.gateway === gateway) {
+      return route;
+    }
+  }
+  return null;
+};
+
+/**
+ * Mark the routes through a gateway as available or unavailable.
+ *
+ * @param {Object} gateway
+ * @param {Boolean} available
+ * @returns {Number} the number of routes through the gateway
+ */
+RoutingTable.prototype.setAvailable = function(gateway, available) {
+  var count = 0;
+  this.routes.forEach(function(route) {
+    if (route.gateway === gateway) {
+      route.available = !!available;
+      count++;
+    }
+  });
+  return count;
+};
+
+/**
+ * Find the route to be used for a domain.
+ *
+ * @param {String} domain normalized domain
+ * @returns {Route|null} the route, or null if no available route matches
+ */
+RoutingTable.prototype.lookup = function(domain) {
+  var best = null;
+  this.routes.forEach(function(route) {
+    if (!route.available || !matches(route.domain, domain)) {
+      return;
+    }
+    if (!best || compare(route, best) < 0) {
+      best = route;
+    }
+  });
+  return best;
+};
+
+/**
+ * Get the domains routed through a gateway.
+ *
+ * @param {Object} gateway
+ * @returns {Array<String>}
+ */
+RoutingTable.prototype.getDomains = function(gateway) {
+  return this.routes.filter(function(route) {
+    return route.gateway === gateway;
+  }).map(function(route) {
+    return route.domain;
+  });
+};
+
+/**
+ * Determine whether a gateway has any routes.
+ *
+ * @param {Object} gateway
+ * @returns {Boolean}
+ */
+RoutingTable.prototype.hasGateway = function(gateway) {
+  return this.routes.some(function(route) {
+    return route.gateway === gateway;
+  });
+};
+
+/**
+ * Get the gateway currently used for each domain that has a route.
+ *
+ * @returns {Object.<string, Object>} gateways by domain
+ */
+RoutingTable.prototype.getActiveGateways = function() {
+  var gateways = {};
+  var self = this;
+  this.routes.forEach(function(route) {
+    if (!gateways.hasOwnProperty(route.domain)) {
+      var active = self.getActiveRoute(route.domain);
+      if (active) {
+        gateways[route.domain] = active.gateway;
+      }
+    }
+  });
+  return gateways;
+};
+
+/**
+ * Get the route currently used for exactly the given domain (ignoring routes
+ * for parent domains).
+ *
+ * @param {String} domain
+ * @returns {Route|null}
+ */
+RoutingTable.prototype.getActiveRoute = function(domain) {
+  var best = null;
+  this.routes.forEach(function(route) {
+    if (route.domain === domain && route.available &&
+        (!best || route.priority > best.priority)) {
+      best = route;
+    }
+  });
+  return best;
+};
+
+/**
+ * Determine whether a route for one domain covers another domain.
+ *
+ * @param {String} routeDomain
+ * @param {String} domain
+ * @returns {Boolean}
+ */
+function matches(routeDomain, domain) {
+  return routeDomain === '*' || routeDomain === domain ||
+    domain.slice(-(routeDomain.length + 1)) === '.' + routeDomain;
+}
+
+/**
+ * Get the specificity of a route's domain; longer domains are more
+ * specific, and '*' is least specific.
+ *
+ * @param {String} domain
+ * @returns {Number}
+ */
+function specificity(domain) {
+  return (domain === '*') ? -1 : domain.length;
+}
+
+// Order routes by preference: most specific domain first, then highest
+// priority. Routes that compare equal keep the order they were added.
+function compare(a, b) {
+  var diff = specificity(b.domain) - specificity(a.domain);
+  return diff || (b.priority - a.priority);
+}
@@ -0,0 +1,290 @@
+/**
+ * Device schema validation.
+ *
+ * Devices describe themselves with a schema object returned from describe().
+ * The schema has a section for each kind of identifier a device supports,
+ * each of which maps names to descriptors:
+ *
+ * {
+ *   properties: { mode: { type: 'string', enum: ['heat', 'cool'] },
+ *                 serial: { type: 'string', readOnly: true } },
+ *   methods:    { reboot: { params: { delay: { type: 'integer' } } } },
+ *   events:     { alarm: { params: { level: { type: 'number',
+ *                                             required: true } } } },
+ *   metrics:    { temperature: { type: 'number' } },
+ *   config:     { interval: { type: 'integer', minimum: 1 } }
+ * }
+ *
+ * Value descriptors (properties, metrics, config, and method and event
+ * parameters) may include:
+ *  - type: 'string', 'number', 'integer', 'boolean', 'object', 'array',
+ *    'null', or 'any', or an array of these. If omitted, any type is allowed.
+ *  - enum: array of allowed values
+ *  - minimum, maximum: inclusive bounds for numeric values
+ *  - readOnly: (properties only) the property may not be SET
+ *  - required: (parameters only) the parameter must be given
+ *
+ * A request is only checked against the sections that are present in the
+ * schema, so a device that omits a section (or does not implement describe()
+ * at all) accepts anything for that kind of request. When a section is
+ * present, requests naming an identifier not listed in it are rejected.
+ * Sections that are not objects (e.g., older schemas that list event names
+ * in an array) are ignored.
+ *
+ * var schema = require('./schema');
+ * var err = schema.validate(device.describe(), req);
+ * if (err) { throw err; }
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var errors = require('./errors');
+
+/**
+ * Module exports.
+ */
+exports.validate = validate;
+
+/**
+ * Validate a request against a device schema.
+ *
+ * SET values are checked against `properties`, INVOKE parameters against
+ * `methods`, CONFIG values against `config`, PUT values against `metrics` (or
+ * `properties`, for devices that report property changes with PUT), and
+ * NOTIFY parameters against `events`. Requests of other types are always
+ * valid.
+ *
+ * The ValidationFailedError returned has the following additional properties:
+ *  - deviceid, method, identifier: from the request
+ *  - field: the invalid part of the request: 'identifier', 'value', or
+ *    'params.<name>'
+ *
+ * @param {Object} schema device schema, as returned by describe()
+ * @param {OrganiqRequest} req
+ * @returns {ValidationFailedError|null} an error describing the first problem found, or null
+ *  if the request is valid.
+ */
+function validate(schema, req) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  var problem = null;
+  switch (req.method) {
+    case 'SET':
+      problem = checkSet(section(schema, 'properties'), req);
+      break;
+    case 'CONFIG':
+      problem = checkValue(section(schema, 'config'), 'config', req);
+      break;
+    case 'PUT':
+      problem = checkPut(section(schema, 'metrics'),
+        section(schema, 'properties'), req);
+      break;
+    case 'INVOKE':
+      problem = checkParams(section(schema, 'methods'), 'method', req);
+      break;
+    case 'NOTIFY':
+      problem = checkParams(section(schema, 'events'), 'event', req);
+      break;
+  }
+  if (!problem) {
+    return null;
+  }
+
+  return new errors.ValidationFailedError(problem.message, {
+    deviceid: req.deviceid,
+    method: req.method,
+    identifier: req.identifier,
+    field: problem.field
+  });
+}
+
+/**
+ * Get a section of a schema, if it is usable for validation.
+ *
+ * @returns {Object|null}
+ */
+function section(schema, name) {
+  var s = schema[name];
+  return (s && typeof s === 'object' && !Array.isArray(s)) ? s : null;
+}
+
+function checkSet(properties, req) {
+  var problem = checkValue(properties, 'property', req);
+  if (!problem && properties && (properties[req.identifier] || {}).readOnly) {
+    problem = {
+      field: 'identifier',
+      message: 'Property \'' + req.identifier + '\' is read-only.'
+    };
+  }
+  return problem;
+}
+
+function checkPut(metrics, properties, req) {
+  if (metrics && metrics.hasOwnProperty(req.identifier)) {
+    return checkValue(metrics, 'metric', req);
+  }
+  if (properties && properties.hasOwnProperty(req.identifier)) {
+    return checkValue(properties, 'property', req);
+  }
+  return checkValue(metrics || properties, 'metric', req);
+}
+
+/**
+ * Check the identifier and value of a request against a schema section.
+ *
+ * @param {Object|undefined} section
+ * @param {String} kind name of identifier kind, for messages
+ * @param {OrganiqRequest} req
+ * @returns {{field: String, message: String}|null}
+ */
+function checkValue(section, kind, req) {
+  if (!section) {
+    return null;
+  }
+  if (!section.hasOwnProperty(req.identifier)) {
+    return unknown(kind, req.identifier);
+  }
+  var message = checkDescriptor(section[req.identifier], req.value);
+  if (message) {
+    return {
+      field: 'value',
+      message: 'Invalid value for ' + kind + ' \'' + req.identifier + '\': ' +
+        message
+    };
+  }
+  return null;
+}
+
+/**
+ * Check the identifier and parameters of a request against a schema section.
+ *
+ * Parameters may be given as an object (by name), or as an array (in the
+ * order they are listed in the schema).
+ *
+ * @param {Object|undefined} section
+ * @param {String} kind name of identifier kind, for messages
+ * @param {OrganiqRequest} req
+ * @returns {{field: String, message: String}|null}
+ */
+function checkParams(section, kind, req) {
+  if (!section) {
+    return null;
+  }
+  if (!section.hasOwnProperty(req.identifier)) {
+    return unknown(kind, req.identifier);
+  }
+  var declared = (section[req.identifier] || {}).params;
+  if (!declared) {
+    return null;
+  }
+
+  var names = Object.keys(declared);
+  var params = req.params;
+  if (params === null || typeof params === 'undefined') {
+    params = {};
+  }
+  if (Array.isArray(params)) {
+    if (params.length > names.length) {
+      return badParam(kind, req.identifier, 'params',
+        'expected at most ' + names.length + ' parameters.');
+    }
+    var byName = {};
+    params.forEach(function(value, i) { byName[names[i]] = value; });
+    params = byName;
+  } else if (typeof params !== 'object') {
+    return badParam(kind, req.identifier, 'params',
+      'expected object or array of parameters.');
+  }
+
+  var i, name;
+  for (name in params) {
+    if (params.hasOwnProperty(name) && !declared.hasOwnProperty(name)) {
+      return badParam(kind, req.identifier, 'params.' + name,
+        'unknown parameter \'' + name + '\'.');
+    }
+  }
+  for (i = 0; i < names.length; i++) {
+    name = names[i];
+    var descriptor = declared[name] || {};
+    var message;
+    if (!params.hasOwnProperty(name) ||
+        typeof params[name] === 'undefined') {
+      message = descriptor.required ?
+        'missing required parameter \'' + name + '\'.' : null;
+    } else {
+      message = checkDescriptor(descriptor, params[name]);
+      message = message && ('parameter \'' + name + '\' ' + message);
+    }
+    if (message) {
+      return badParam(kind, req.identifier, 'params.' + name, message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a value against a value descriptor.
+ *
+ * @param {Object} descriptor
+ * @param {*} value
+ * @returns {String|null} description of the problem, or null if valid.
+ */
+function checkDescriptor(descriptor, value) {
+  descriptor = descriptor || {};
+  if (descriptor.type && !hasType(value, descriptor.type)) {
+    return 'expected ' + [].concat(descriptor.type).join(' or ') +
+      ', got ' + typeOf(value) + '.';
+  }
+  if (Array.isArray(descriptor.enum) &&
+      descriptor.enum.indexOf(value) === -1) {
+    return 'expected one of ' + JSON.stringify(descriptor.enum) + '.';
+  }
+  if (typeof value === 'number') {
+    if (typeof descriptor.minimum === 'number' && value < descriptor.minimum) {
+      return 'must be at least ' + descriptor.minimum + '.';
+    }
+    if (typeof descriptor.maximum === 'number' && value > descriptor.maximum) {
+      return 'must be at most ' + descriptor.maximum + '.';
+    }
+  }
+  return null;
+}
+
+function hasType(value, types) {
+  var actual = typeOf(value);
+  return [].concat(types).some(function(type) {
+    switch (type) {
+      case 'any':
+        return true;
+      case 'integer':
+        return actual === 'number' && value % 1 === 0;
+      default:
+        return type === actual;
+    }
+  });
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function unknown(kind, identifier) {
+  return {
+    field: 'identifier',
+    message: 'Unknown ' + kind + ' \'' + identifier + '\'.'
+  };
+}
+
+function badParam(kind, identifier, field, message) {
+  return {
+    field: field,
+    message: 'Invalid parameters for ' + kind + ' \'' + identifier + '\': ' +
+      message
+  };
+}
@@ -0,0 +1,259 @@
+/**
+ * Node statistics.
+ *
+ * A Stats object collects counters, gauges, and histograms describing the
+ * activity of a node (e.g., requests dispatched and their latency). Each
+ * value may have labels (e.g., the request method and device id), and is
+ * kept separately for each distinct set of labels.
+ *
+ * Statistics are reported with snapshot(), which gives a JSON-compatible
+ * object, and may be formatted for Prometheus with toPrometheus():
+ *
+ * var stats = new Stats();
+ * stats.define('requests_total', 'counter', 'Requests dispatched.');
+ * stats.increment('requests_total', { method: 'GET' });
+ * stats.observe('request_duration_seconds', { method: 'GET' }, 0.012);
+ * Stats.toPrometheus(stats.snapshot());
+ *
+ */
+
+/**
+ * Organiq node statistics.
+ */
+module.exports = Stats;
+module.exports.toPrometheus = toPrometheus;
+
+// upper bounds of histogram buckets, in seconds
+var DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1,
+  2.5, 5, 10];
+
+/*
+ * Collection of node statistics.
+ *
+ * @returns {Stats}
+ * @constructor
+ * @private
+ */
+function Stats() {
+  if (!(this instanceof Stats)) {
+    return new Stats();
+  }
+  this.metrics = {};  // metric definitions and values, by name
+}
+
+/**
+ * Define a statistic.
+ *
+ * Statistics need not be defined before they are used (in which case their
+ * type is implied by the first use), but defining them gives them a
+ * description and ensures they are reported even when zero.
+ *
+ * @param {String} name
+ * @param {String} type 'counter', 'gauge', or 'histogram'
+ * @param {String=} help description of the statistic
+ * @param {Object=} options
+ * @param {function(): Number=} options.collect for gauges, a function giving
+ *  the current (unlabelled) value when statistics are reported
+ * @param {Array<Number>=} options.buckets for histograms, the upper bounds of
+ *  the buckets. Default is suitable for durations in seconds.
+ * @returns {Stats} this object
+ */
+Stats.prototype.define = function(name, type, help, options) {
+  options = options || {};
+  var metric = this.metrics[name];
+  if (!metric) {
+    metric = this.metrics[name] = { type: type, help: '', values: {} };
+  }
+  metric.help = help || metric.help;
+  metric.collect = options.collect || metric.collect;
+  metric.buckets = options.buckets || metric.buckets || DEFAULT_BUCKETS;
+  return this;
+};
+
+/**
+ * Increment a counter.
+ *
+ * @param {String} name
+ * @param {Object=} labels
+ * @param {Number=} n amount to add. Default is one.
+ */
+Stats.prototype.increment = function(name, labels, n) {
+  var value = this.getValue(name, 'counter', labels);
+  value.value += (typeof n === 'number') ? n : 1;
+};
+
+/**
+ * Add to (or, with a negative amount, subtract from) a gauge.
+ *
+ * @param {String} name
+ * @param {Object=} labels
+ * @param {Number} n
+ */
+Stats.prototype.adjust = function(name, labels, n) {
+  this.getValue(name, 'gauge', labels).value += n;
+};
+
+/**
+ * Set the value of a gauge.
+ *
+ * @param {String} name
+ * @param {Object=} labels
+ * @param {Number} n
+ */
+Stats.prototype.set = function(name, labels, n) {
+  this.getValue(name, 'gauge', labels).value = n;
+};
+
+/**
+ * Record an observation (e.g., a duration) in a histogram.
+ *
+ * @param {String} name
+ * @param {Object=} labels
+ * @param {Number} n
+ */
+Stats.prototype.observe = function(name, labels, n) {
+  var value = this.getValue(name, 'histogram', labels);
+  var buckets = this.metrics[name].buckets;
+  for (var i = 0; i < buckets.length; i++) {
+    if (n <= buckets[i]) {
+      value.counts[i]++;
+      break;
+    }
+  }
+  value.count++;
+  value.sum += n;
+};
+
+/**
+ * Get the value record for a statistic with the given labels, creating it
+ * (and the statistic) if necessary.
+ *
+ * @private
+ */
+Stats.prototype.getValue = function(name, type, labels) {
+  labels = labels || {};
+  if (!this.metrics[name]) {
+    this.define(name, type);
+  }
+  var metric = this.metrics[name];
+  var key = labelKey(labels);
+  var value = metric.values[key];
+  if (!value) {
+    value = metric.values[key] = { labels: labels };
+    if (metric.type === 'histogram') {
+      value.counts = metric.buckets.map(function() { return 0; });
+      value.count = 0;
+      value.sum = 0;
+    } else {
+      value.value = 0;
+    }
+  }
+  return value;
+};
+
+/**
+ * @name StatsSnapshot
+ * @description Object mapping the name of each statistic to `{ type, help,
+ *  values }`, where `values` is a list of `{ labels, value }` for counters
+ *  and gauges, or `{ labels, count, sum, buckets }` for histograms. The
+ *  `buckets` of a histogram are a list of `{ le, count }`, giving the upper
+ *  bound of each bucket (the last is '+Inf') and the cumulative number of
+ *  observations no greater than it.
+ */
+
+/**
+ * Get the current value of every statistic.
+ *
+ * @returns {StatsSnapshot}
+ */
+Stats.prototype.snapshot = function() {
+  var metrics = this.metrics;
+  var snapshot = {};
+  Object.keys(metrics).sort().forEach(function(name) {
+    var metric = metrics[name];
+    if (metric.collect) {
+      var value = metric.collect();
+      metric.values[labelKey({})] = { labels: {}, value: value };
+    }
+    snapshot[name] = {
+      type: metric.type,
+      help: metric.help,
+      values: Object.keys(metric.values).map(function(key) {
+        return reportValue(metric, metric.values[key]);
+      })
+    };
+  });
+  return snapshot;
+};
+
+function reportValue(metric, value) {
+  if (metric.type !== 'histogram') {
+    return { labels: value.labels, value: value.value };
+  }
+  var cumulative = 0;
+  var buckets = metric.buckets.map(function(le, i) {
+    cumulative += value.counts[i];
+    return { le: String(le), count: cumulative };
+  });
+  buckets.push({ le: '+Inf', count: value.count });
+  return {
+    labels: value.labels,
+    count: value.count,
+    sum: value.sum,
+    buckets: buckets
+  };
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(function(name) {
+    return [name, String(labels[name])];
+  }));
+}
+
+/**
+ * Format a statistics snapshot in the Prometheus text exposition format.
+ *
+ * @param {StatsSnapshot} snapshot
+ * @returns {String}
+ */
+function toPrometheus(snapshot) {
+  var lines = [];
+  Object.keys(snapshot).forEach(function(name) {
+    var metric = snapshot[name];
+    if (metric.help) {
+      lines.push('# HELP ' + name + ' ' + metric.help);
+    }
+    lines.push('# TYPE ' + name + ' ' + metric.type);
+    metric.values.forEach(function(value) {
+      if (metric.type !== 'histogram') {
+        lines.push(name + formatLabels(value.labels) + ' ' + value.value);
+        return;
+      }
+      value.buckets.forEach(function(bucket) {
+        lines.push(name + '_bucket' + formatLabels(value.labels, bucket.le) +
+          ' ' + bucket.count);
+      });
+      lines.push(name + '_sum' + formatLabels(value.labels) + ' ' + value.sum);
+      lines.push(name + '_count' + formatLabels(value.labels) + ' ' +
+        value.count);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels, le) {
+  var pairs = Object.keys(labels).map(function(name) {
+    return name + '="' + escapeLabel(labels[name]) + '"';
+  });
+  if (typeof le !== 'undefined') {
+    pairs.push('le="' + le + '"');
+  }
+  return pairs.length ? '{' + pairs.join(',') + '}' : '';
+}
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
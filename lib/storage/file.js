@@ -0,0 +1,151 @@
+/**
+ * Module Dependencies.
+ */
+var fs = require('fs');
+var util = require('util');
+var when = require('when');
+var debug = require('debug')('organiq:storage');
+var MemoryStorage = require('./memory');
+
+/**
+ * Export FileStorage constructor.
+ */
+module.exports = FileStorage;
+
+/**
+ * File-based storage adapter.
+ *
+ * All state is kept in a single JSON file. The file is read when the adapter
+ * is first used, and rewritten (atomically, via a temporary file) after every
+ * change. Changes made while a write is in progress are coalesced into a
+ * single subsequent write.
+ *
+ * var storage = new FileStorage('/var/lib/organiq/state.json');
+ * var app = organiq({ storage: storage });
+ *
+ * @param {String} filename path of the JSON file used to hold state
+ * @returns {FileStorage}
+ * @constructor
+ */
+function FileStorage(filename) {
+  if (!(this instanceof FileStorage)) {
+    return new FileStorage(filename);
+  }
+  MemoryStorage.call(this);
+
+  this.filename = filename;
+  this.loading = null;          // promise for completion of initial read
+  this.saving = when.resolve(); // promise for completion of last write
+  this.saveQueued = false;      // true if a write is waiting to start
+}
+util.inherits(FileStorage, MemoryStorage);
+
+FileStorage.prototype.get = function(collection, key) {
+  var get = MemoryStorage.prototype.get.bind(this);
+  return this.load().then(function() {
+    return get(collection, key);
+  });
+};
+
+FileStorage.prototype.set = function(collection, key, value) {
+  var self = this;
+  return this.load().then(function() {
+    self.store(collection, key, value);
+    return self.save();
+  });
+};
+
+FileStorage.prototype.update = function(collection, key, fn) {
+  var self = this;
+  var update = MemoryStorage.prototype.update.bind(this);
+  return this.load().then(function() {
+    return update(collection, key, fn);
+  }).then(function(value) {
+    return self.save().yield(value);
+  });
+};
+
+FileStorage.prototype.remove = function(collection, key) {
+  var self = this;
+  return this.load().then(function() {
+    delete self.collection(collection)[key];
+    return self.save();
+  });
+};
+
+FileStorage.prototype.list = function(collection) {
+  var list = MemoryStorage.prototype.list.bind(this);
+  return this.load().then(function() {
+    return list(collection);
+  });
+};
+
+/**
+ * Read the state file, if it exists.
+ *
+ * @returns {Promise}
+ * @private
+ */
+FileStorage.prototype.load = function() {
+  var self = this;
+  if (!this.loading) {
+    this.loading = when.promise(function(resolve, reject) {
+      fs.readFile(self.filename, 'utf8', function(err, text) {
+        if (err && err.code !== 'ENOENT') {
+          return reject(err);
+        }
+        try {
+          self.data = text ? JSON.parse(text) : {};
+        } catch (e) {
+          return reject(new Error('Invalid storage file ' + self.filename +
+            ': ' + e.message));
+        }
+        debug('Loaded state from ' + self.filename);
+        resolve();
+      });
+    });
+  }
+  return this.loading;
+};
+
+/**
+ * Write the state file.
+ *
+ * @returns {Promise} a promise that resolves once the current state has been
+ *  written.
+ * @private
+ */
+FileStorage.prototype.save = function() {
+  var self = this;
+  if (!this.saveQueued) {
+    this.saveQueued = true;
+    // Wait for any write in progress, regardless of whether it succeeded.
+    this.saving = this.saving.catch(function() {}).then(function() {
+      self.saveQueued = false;
+      return writeFile(self.filename, JSON.stringify(self.data));
+    });
+  }
+  return this.saving;
+};
+
+/**
+ * Replace a file's contents atomically.
+ *
+ * @private
+ */
+function writeFile(filename, text) {
+  var tmp = filename + '.tmp';
+  return when.promise(function(resolve, reject) {
+    fs.writeFile(tmp, text, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      fs.rename(tmp, filename, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  });
+}
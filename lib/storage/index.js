@@ -0,0 +1,29 @@
+/**
+ * Storage adapters for node state.
+ *
+ * An Organiq node keeps state that should survive a restart in a storage
+ * adapter given in its options (see Organiq()). State is organized in named
+ * collections of JSON-serializable values, by key:
+ *
+ *  'devices' - metadata about devices that have registered, by deviceid
+ *  'config'  - configuration applied to devices with CONFIG, by deviceid
+ *  'queues'  - requests held for devices that are not connected, by deviceid
+ *  'values'  - last known property and metric values, by deviceid
+ *
+ * A storage adapter implements the following methods, each of which returns
+ * a promise:
+ *
+ *  get(collection, key) - resolves to the stored value (or undefined)
+ *  set(collection, key, value) - stores a value
+ *  update(collection, key, fn) - stores the value returned by fn(oldValue),
+ *    without allowing other changes to the key in between (fn must return
+ *    synchronously); resolves to the new value
+ *  remove(collection, key) - removes a value
+ *  list(collection) - resolves to an object containing all values in the
+ *    collection, by key
+ *
+ * Values are copied when stored and retrieved, so callers may not modify
+ * stored values other than through the adapter.
+ */
+exports.MemoryStorage = require('./memory');
+exports.FileStorage = require('./file');
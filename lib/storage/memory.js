@@ -0,0 +1,86 @@
+/**
+ * Module Dependencies.
+ */
+var when = require('when');
+
+/**
+ * Export MemoryStorage constructor.
+ */
+module.exports = MemoryStorage;
+
+/**
+ * In-memory storage adapter.
+ *
+ * This is the default storage adapter. State is not retained when the process
+ * exits.
+ *
+ * @returns {MemoryStorage}
+ * @constructor
+ */
+function MemoryStorage() {
+  if (!(this instanceof MemoryStorage)) {
+    return new MemoryStorage();
+  }
+  this.data = {};   // collections, by name
+}
+
+MemoryStorage.prototype.get = function(collection, key) {
+  return when.resolve(copy(this.collection(collection)[key]));
+};
+
+MemoryStorage.prototype.set = function(collection, key, value) {
+  this.store(collection, key, value);
+  return when.resolve();
+};
+
+MemoryStorage.prototype.update = function(collection, key, fn) {
+  var value;
+  try {
+    value = fn(copy(this.collection(collection)[key]));
+  } catch (err) {
+    return when.reject(err);
+  }
+  this.store(collection, key, value);
+  return when.resolve(copy(value));
+};
+
+MemoryStorage.prototype.remove = function(collection, key) {
+  delete this.collection(collection)[key];
+  return when.resolve();
+};
+
+MemoryStorage.prototype.list = function(collection) {
+  return when.resolve(copy(this.collection(collection)));
+};
+
+/**
+ * Get a collection, creating it if necessary.
+ *
+ * @param {String} name
+ * @returns {Object}
+ * @private
+ */
+MemoryStorage.prototype.collection = function(name) {
+  if (!this.data.hasOwnProperty(name)) {
+    this.data[name] = {};
+  }
+  return this.data[name];
+};
+
+/**
+ * Store a value synchronously. Storing undefined removes the key.
+ *
+ * @private
+ */
+MemoryStorage.prototype.store = function(collection, key, value) {
+  if (typeof value === 'undefined') {
+    delete this.collection(collection)[key];
+  } else {
+    this.collection(collection)[key] = copy(value);
+  }
+};
+
+function copy(value) {
+  return (typeof value === 'undefined') ? value :
+    JSON.parse(JSON.stringify(value));
+}
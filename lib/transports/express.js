@@ -13,21 +13,132 @@
  * Organiq Device API requests are made over HTTP semantically. This module
  * converts the HTTP representation of a request to its Organiq equivalent.
  *
+ * The handler may be mounted on a path prefix, in which case it routes
+ * requests itself:
+ *
+ * app.use('/dapi', bodyParser.json(), organiq.expressDapi());
+ *
+ * GET  /dapi/devices                   -> list of attached devices
+ * GET  /dapi/devices/{deviceid}        -> DESCRIBE (device schema)
+ * GET  /dapi/devices/{deviceid}/history/{metric} -> metric history
+ * GET  /dapi/metrics                   -> node statistics (Prometheus)
+ * GET  /dapi/{deviceid}/{property}     -> GET
+ * PUT  /dapi/{deviceid}/{property}     -> SET
+ * POST /dapi/{deviceid}/{method}       -> INVOKE
+ * GET  /dapi/{deviceid}/.schema        -> DESCRIBE
+ * PUT  /dapi/{deviceid}/.config        -> CONFIG
+ * POST /dapi/{deviceid}/metrics        -> PUT [device-originated]
+ * POST /dapi/{deviceid}/events         -> NOTIFY [device-originated]
+ * GET  /dapi/{deviceid}/stream         -> stream of PUT and NOTIFY
+ *
+ * The body of a POST to a method is given to INVOKE as its params. For
+ * compatibility, it is passed as a JSON string unless the device's schema
+ * declares the method, in which case it is passed as is (so that the params
+ * can be validated against the schema).
+ *
+ * The metrics and events resources accept a batch of values. The body may be
+ * an object mapping names to values (or, for events, parameters), or to
+ * arrays of timestamped samples:
+ *
+ * { "temperature": 72, "humidity": 40 }
+ * { "temperature": [ { "value": 72, "timestamp": 1425000000000 },
+ *                    { "value": 73, "timestamp": "2015-02-27T01:20:00Z" } ] }
+ * { "alarm": [ { "params": { "level": 2 }, "timestamp": 1425000000000 } ] }
+ *
+ * or an array of samples that name the metric or event:
+ *
+ * [ { "metric": "temperature", "value": 72, "timestamp": 1425000000000 },
+ *   { "event": "alarm", "params": { "level": 2 } } ]
+ *
+ * Timestamps are milliseconds since the epoch, or ISO 8601 strings. Each
+ * sample is dispatched (in order) as a separate PUT or NOTIFY, and the
+ * response gives the outcome of each as `{ results: [ { name, timestamp,
+ * success, error } ] }`. The status is 200 if all samples succeeded, or 207
+ * (Multi-Status) otherwise.
+ *
+ * The stream resource uses Server-Sent Events (text/event-stream) to deliver
+ * device-originated messages as they occur. Each is sent as a `put` event
+ * with data `{ identifier, value, timestamp, sequence }`, or a `notify` event
+ * with data `{ identifier, params, timestamp, sequence }` (see MessageMeta).
+ * The `metrics` and `events` query parameters may give comma-separated lists
+ * of names (or wildcard patterns) to limit the messages sent; e.g.,
+ * `stream?metrics=temp*&events=alarm`. An empty list suppresses messages of
+ * that type.
+ *
+ * It may also be mounted on a route with `deviceid` and `identifier`
+ * parameters (e.g., '/dapi/:deviceid/:identifier'), in which case the list
+ * of devices is not reachable. Either way, 'devices' is not a usable device
+ * id.
+ *
+ * The history resource answers with the recorded history of a metric (see
+ * lib/history). The `from`, `to`, `interval`, and `limit` query parameters
+ * select the time range and downsampling; e.g.,
+ * `history/temperature?from=-3600000&interval=60000`. Access to history
+ * requires authorization to GET from the device.
+ *
+ * The metrics resource reports the statistics of the node (see lib/stats) in
+ * the Prometheus text format, for scraping. It is read from the `Stats`
+ * property of the core device, and so requires authorization to GET from
+ * ':core'.
+ *
+ * HEAD is supported wherever GET is. Responses to GET and HEAD carry an
+ * ETag, and conditional requests (If-None-Match) are answered with 304 Not
+ * Modified if the value is unchanged. OPTIONS is answered with the methods
+ * allowed for the resource, and other methods with 405 Method Not Allowed.
+ *
+ * If the node has an authentication policy, the credential is taken from the
+ * `Authorization` header (or the `access_token` query parameter), and each
+ * request is checked against the node's authorization policy before it is
+ * dispatched.
+ *
+ * Failures are answered with the HTTP status for the error (see lib/errors),
+ * or 500 for unexpected errors, and a JSON body of the form
+ * `{ error: { code, message, ... } }`.
+ *
  */
 
 /**
  * Module Dependencies.
  */
+var when = require('when');
 var debug = require('debug')('organiq:express');
+var crypto = require('crypto');
+var url = require('url');
+var errors = require('../errors');
+var pattern = require('../pattern');
+var Stats = require('../stats');
 
 /**
  * Export ExpressApi factory function.
  */
 module.exports = ExpressDapi;
 
+var DEFAULT_HEARTBEAT = 15000;  // ms between keep-alive comments on streams
 
+// HTTP methods allowed for each type of resource
+var allowedMethods = {
+  devices: ['GET', 'HEAD', 'OPTIONS'],
+  device: ['GET', 'HEAD', 'OPTIONS'],
+  history: ['GET', 'HEAD', 'OPTIONS'],
+  stats: ['GET', 'HEAD', 'OPTIONS'],
+  resource: ['GET', 'HEAD', 'PUT', 'POST', 'OPTIONS']
+};
 
-function ExpressDapi(organiq) {
+
+/**
+ * Create an Express-compatible handler for the Organiq Device API.
+ *
+ * @param {Organiq} organiq
+ * @param {Object=} options
+ * @param {Number=} options.heartbeat interval (in milliseconds) at which
+ *  keep-alive comments are sent on event streams. Default is 15 seconds; zero
+ *  disables them.
+ * @returns {function(Object, Object, function)}
+ */
+function ExpressDapi(organiq, options) {
+  options = options || {};
+  var heartbeat = (typeof options.heartbeat === 'number') ?
+    options.heartbeat : DEFAULT_HEARTBEAT;
 
   /**
    * Express-compatible middleware handler for Organiq Device API stack.
@@ -36,75 +147,600 @@ function ExpressDapi(organiq) {
    * dispatch them through the stack.
    *
    * Middleware requirements:
-   *  params
    *  body (npm install body-parser)
    *
    * @api private
    */
   return function organiqApiHandler(httpreq, httpres, next) {
-    var deviceid = httpreq.params.deviceid;
-    var identifier = httpreq.params.identifier;
-    var req;
+    var route = getRoute(httpreq);
+    if (!route) {
+      return next();
+    }
 
-    // GET /dapi/{deviceid}/{property} -> GET
-    // PUT /dapi/{deviceid}/{property} -> SET
-    // POST /dapi/{deviceid}/{method}  -> INVOKE
-    // GET /dapi/{deviceid}/.schema    -> DESCRIBE
-    // PUT /dapi/{deviceid}/.config    -> CONFIG
-    // POST /dapi/{deviceid}/metrics   -> PUT [device-originated]
-    // POST /dapi/{deviceid}/events    -> NOTIFY [device-originated]
-    switch(httpreq.method) {
-      case 'GET':
-        if (identifier === '.schema' || identifier === '.config') {
-          req = organiq.request.describe(deviceid, identifier);
-        } else {
-          req = organiq.request.get(deviceid, identifier);
-        }
-        break;
-      case 'PUT':
-        if (identifier === '.config') {
-          var config = httpreq.body;
-          req = organiq.request.config(deviceid, identifier, config);
-        } else {
-          var value = httpreq.body;
-          req = organiq.request.set(deviceid, identifier, value);
-        }
-        break;
-      case 'POST':
-        if (identifier === 'metrics') {
-          // need to crack out the metric information. For now, we expect a
-          // single metric with value to be here
-          var metrics = httpreq.body;
-          var metric = Object.keys(metrics)[0];
-          var mvalue = metrics[metric];
-          req = organiq.request.put(deviceid, metric, mvalue);
-        } else if (identifier === 'events') {
-          // need to crack out the event information. For now, we expect a
-          // single metric with value to be here
-          var events = httpreq.body;
-          var event = Object.keys(events)[0];
-          var evalue = events[event];
-          req = organiq.request.notify(deviceid, event, evalue);
-        } else {
-          var params = JSON.stringify(httpreq.body);
-          req = organiq.request.invoke(deviceid, identifier, params);
-        }
-        break;
-      default:
-        throw new Error("Invalid Request");
+    var allowed = allowedMethods[route.type];
+    if (httpreq.method === 'OPTIONS') {
+      httpres.setHeader('Allow', allowed.join(', '));
+      return httpres.status(204).end();
     }
 
+    if (route.type === 'resource' && route.identifier === 'stream' &&
+        httpreq.method === 'GET') {
+      return stream(route.deviceid, httpreq, httpres);
+    }
+    if (route.type === 'resource' && httpreq.method === 'POST' &&
+        (route.identifier === 'metrics' || route.identifier === 'events')) {
+      return ingest(route, httpreq, httpres);
+    }
+
+    var req;
+    try {
+      req = createRequest(organiq, route, httpreq);
+    } catch (err) {
+      if (err.status === 405) {
+        httpres.setHeader('Allow', allowed.join(', '));
+      }
+      return sendError(httpres, err);
+    }
 
     //
-    // Dispatch the request through the Organiq stack.
+    // Authorize and dispatch the request through the Organiq stack.
     //
-    organiq.dispatch(req)
+    // History is answered by the core device, but reading it is the same as
+    // reading from the device itself.
+    var isHistory = route.type === 'history';
+    authenticate(organiq, httpreq)
+      .then(function(principal) {
+        req.setContext(getRequestContext(httpreq, principal));
+        return organiq.authorize(principal, isHistory ? 'GET' : req.method,
+          isHistory ? route.deviceid : req.deviceid);
+      })
+      .then(function() {
+        return organiq.dispatch(req);
+      })
       .then(function(res) {
-        return httpres.json(res);
+        if (route.type === 'stats') {
+          return sendStats(httpreq, httpres, res);
+        }
+        // A last known value given in place of the device (see
+        // middleware/cache) is marked as such.
+        if (req.context.stale) {
+          httpres.setHeader('Warning', '110 - "Response is Stale"');
+        }
+        sendResult(httpreq, httpres, res);
       })
       .catch(function(err) {
         debug('organiq.dispatch failed: ' + err);
-        next(err);
+        sendError(httpres, err);
+      });
+  };
+
+  /**
+   * Dispatch a batch of device-originated metrics or events.
+   *
+   * @param {Route} route
+   * @param {Object} httpreq
+   * @param {Object} httpres
+   */
+  function ingest(route, httpreq, httpres) {
+    var method = (route.identifier === 'metrics') ? 'PUT' : 'NOTIFY';
+    var samples;
+    try {
+      samples = parseSamples(organiq, route, httpreq.body);
+    } catch (err) {
+      return sendError(httpres, err);
+    }
+
+    authenticate(organiq, httpreq)
+      .then(function(principal) {
+        return organiq.authorize(principal, method, route.deviceid)
+          .then(function() {
+            var context = getRequestContext(httpreq, principal);
+            return samples.reduce(function(previous, sample) {
+              return previous.then(function(results) {
+                return dispatchSample(sample, context).then(function(result) {
+                  results.push(result);
+                  return results;
+                });
+              });
+            }, when.resolve([]));
+          });
+      })
+      .then(function(results) {
+        var failed = results.some(function(result) {
+          return !result.success;
+        });
+        httpres.status(failed ? 207 : 200).json({ results: results });
+      })
+      .catch(function(err) {
+        debug('Batch ' + method + ' failed: ' + err);
+        sendError(httpres, err);
+      });
+  }
+
+  /**
+   * Dispatch a single sample of a batch, resolving to its result.
+   *
+   * @param {Sample} sample
+   * @param {Object} context
+   * @returns {Promise}
+   */
+  function dispatchSample(sample, context) {
+    var result = { name: sample.name, timestamp: sample.timestamp };
+    if (sample.error) {
+      return when.resolve(sampleFailed(result, sample.error));
+    }
+    sample.req.setContext(context);
+    return organiq.dispatch(sample.req).then(function() {
+      result.success = true;
+      return result;
+    }, function(err) {
+      return sampleFailed(result, err);
+    });
+  }
+
+  /**
+   * Stream device-originated messages to the client with Server-Sent Events.
+   *
+   * We connect to the device as any other client would, and disconnect when
+   * the HTTP connection closes.
+   *
+   * @param {String} deviceid
+   * @param {Object} httpreq
+   * @param {Object} httpres
+   */
+  function stream(deviceid, httpreq, httpres) {
+    var query = httpreq.query || {};
+    var metrics = getFilter(query.metrics);
+    var events = getFilter(query.events);
+    var proxy = null;
+    var timer = null;
+    var closed = false;
+    var eventId = 0;
+
+    httpreq.on('close', function onClose() {
+      closed = true;
+      clearInterval(timer);
+      if (proxy) {
+        debug('Stream closed for ' + deviceid);
+        proxy.removeListener('put', onPut);
+        proxy.removeListener('notify', onNotify);
+        when(organiq.disconnect(proxy)).catch(function(err) {
+          debug('disconnect failed: ' + err);
+        });
+      }
+    });
+
+    authenticate(organiq, httpreq)
+      .then(function(principal) {
+        return organiq.authorize(principal, 'SUBSCRIBE', deviceid)
+          .then(function() {
+            return organiq.connect(deviceid,
+              getRequestContext(httpreq, principal));
+          });
+      })
+      .then(function(p) {
+        proxy = p;
+        if (closed) {
+          // client went away while we were connecting
+          return organiq.disconnect(proxy);
+        }
+        proxy.on('put', onPut);
+        proxy.on('notify', onNotify);
+
+        httpres.status(200);
+        httpres.setHeader('Content-Type', 'text/event-stream');
+        httpres.setHeader('Cache-Control', 'no-cache');
+        httpres.setHeader('Connection', 'keep-alive');
+        httpres.write(': connected to ' + deviceid + '\n\n');
+        if (heartbeat > 0) {
+          timer = setInterval(function() {
+            httpres.write(': keep-alive\n\n');
+          }, heartbeat);
+        }
+        debug('Stream opened for ' + deviceid);
+      })
+      .catch(function(err) {
+        debug('Failed to open stream for ' + deviceid + ': ' + err);
+        if (!closed) {
+          sendError(httpres, err);
+        }
       });
+
+    function onPut(metric, value, context, meta) {
+      if (matchesFilter(metrics, metric)) {
+        meta = meta || {};
+        send('put', { identifier: metric, value: value,
+          timestamp: meta.timestamp, sequence: meta.sequence });
+      }
+    }
+
+    function onNotify(event, params, context, meta) {
+      if (matchesFilter(events, event)) {
+        meta = meta || {};
+        send('notify', { identifier: event, params: params,
+          timestamp: meta.timestamp, sequence: meta.sequence });
+      }
+    }
+
+    function send(event, data) {
+      httpres.write('id: ' + (++eventId) + '\nevent: ' + event + '\ndata: ' +
+        JSON.stringify(data) + '\n\n');
+    }
+  }
+}
+
+/**
+ * Authenticate the client making an HTTP request.
+ *
+ * The credential is taken from the Authorization header or the
+ * `access_token` query parameter.
+ *
+ * @param {Organiq} organiq
+ * @param {Object} httpreq
+ * @returns {Promise} a promise for the principal
+ */
+function authenticate(organiq, httpreq) {
+  var credential = httpreq.headers && httpreq.headers.authorization;
+  if (!credential && httpreq.query) {
+    credential = httpreq.query.access_token;
+  }
+  var authInfo = { transport: 'express', request: httpreq };
+  return organiq.authenticate(credential, authInfo);
+}
+
+function getRequestContext(httpreq, principal) {
+  return {
+    principal: principal,
+    transport: 'express',
+    correlationId: httpreq.headers && httpreq.headers['x-correlation-id']
   };
 }
+
+/**
+ * Parse a comma-separated list of patterns from a query parameter.
+ *
+ * @param {String|undefined} param
+ * @returns {Array<String>|null} list of patterns, or null if none given
+ */
+function getFilter(param) {
+  if (typeof param !== 'string') {
+    return null;
+  }
+  return param.split(',').map(function(s) {
+    return s.trim();
+  }).filter(Boolean);
+}
+
+function matchesFilter(filter, name) {
+  return !filter || filter.some(function(p) {
+    return pattern.matches(p, name);
+  });
+}
+
+/**
+ * @name Route
+ * @property {String} type 'devices', 'device', 'history', 'stats', or
+ *  'resource'
+ * @property {String=} deviceid
+ * @property {String=} identifier
+ */
+
+/**
+ * Determine the resource addressed by an HTTP request.
+ *
+ * @param {Object} httpreq
+ * @returns {Route|null} the route, or null if the request is not for us.
+ */
+function getRoute(httpreq) {
+  var segments;
+  var params = httpreq.params || {};
+  if (params.deviceid) {
+    segments = [params.deviceid, params.identifier];
+  } else {
+    var path = httpreq.path || url.parse(httpreq.url || '').pathname || '';
+    segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+  }
+
+  if (segments[0] === 'devices') {
+    switch (segments.length) {
+      case 1:
+        return { type: 'devices' };
+      case 2:
+        return { type: 'device', deviceid: segments[1] };
+      case 4:
+        if (segments[2] === 'history' && segments[3]) {
+          return { type: 'history', deviceid: segments[1],
+            identifier: segments[3] };
+        }
+    }
+    return null;
+  }
+  if (segments.length === 1 && segments[0] === 'metrics') {
+    return { type: 'stats' };
+  }
+  if (segments.length === 2 && segments[1]) {
+    return { type: 'resource', deviceid: segments[0], identifier: segments[1] };
+  }
+  return null;
+}
+
+/**
+ * @name Sample
+ * @property {String} name metric or event name
+ * @property {Number|null} timestamp
+ * @property {OrganiqRequest} req the request for the sample
+ * @property {Error=} error set if the sample is invalid
+ */
+
+/**
+ * Parse the body of a batch metrics or events request.
+ *
+ * Problems with individual samples are recorded in the sample, so that the
+ * rest of the batch can be dispatched; the request fails as a whole only if
+ * the body is not an object or array.
+ *
+ * @param {Organiq} organiq
+ * @param {Route} route
+ * @param {*} body
+ * @returns {Array<Sample>}
+ */
+function parseSamples(organiq, route, body) {
+  var isMetrics = route.identifier === 'metrics';
+  var nameKey = isMetrics ? 'metric' : 'event';
+  var valueKey = isMetrics ? 'value' : 'params';
+  var entries = [];   // { name, sample } pairs, in order
+
+  if (Array.isArray(body)) {
+    body.forEach(function(sample) {
+      sample = sample || {};
+      entries.push({ name: sample[nameKey] || sample.name, sample: sample });
+    });
+  } else if (body && typeof body === 'object') {
+    Object.keys(body).forEach(function(name) {
+      var value = body[name];
+      if (isSampleArray(value, valueKey)) {
+        value.forEach(function(sample) {
+          entries.push({ name: name, sample: sample });
+        });
+      } else {
+        var sample = {};
+        sample[valueKey] = value;
+        entries.push({ name: name, sample: sample });
+      }
+    });
+  } else {
+    throw new errors.ValidationFailedError('Expected an object or array of ' +
+      route.identifier + '.', { field: 'body' });
+  }
+
+  return entries.map(function(entry) {
+    var name = entry.name;
+    var sample = entry.sample;
+    var timestamp = parseTimestamp(sample.timestamp);
+    var result = { name: name, timestamp: timestamp, req: null };
+
+    if (typeof name !== 'string' || !name) {
+      result.error = new errors.ValidationFailedError(
+        'Sample is missing ' + nameKey + ' name.', { field: nameKey });
+    } else if (isNaN(timestamp)) {
+      result.timestamp = sample.timestamp;
+      result.error = new errors.ValidationFailedError(
+        'Invalid timestamp for ' + nameKey + ' \'' + name + '\'.',
+        { field: 'timestamp' });
+    } else {
+      result.req = isMetrics ?
+        organiq.request.put(route.deviceid, name, sample.value) :
+        organiq.request.notify(route.deviceid, name, sample.params);
+      result.req.timestamp = timestamp;
+    }
+    return result;
+  });
+}
+
+/**
+ * Determine whether a value is an array of samples (rather than, say, a
+ * metric whose value is an array).
+ */
+function isSampleArray(value, valueKey) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(function(sample) {
+      return sample !== null && typeof sample === 'object' &&
+        sample.hasOwnProperty(valueKey);
+    });
+}
+
+/**
+ * Convert a timestamp given in a request to milliseconds since the epoch.
+ *
+ * @param {Number|String|undefined} timestamp
+ * @returns {Number|null} the timestamp, null if none given, or NaN if invalid
+ */
+function parseTimestamp(timestamp) {
+  if (timestamp === null || typeof timestamp === 'undefined') {
+    return null;
+  }
+  if (typeof timestamp === 'number') {
+    return timestamp;
+  }
+  return (typeof timestamp === 'string') ? Date.parse(timestamp) : NaN;
+}
+
+function sampleFailed(result, err) {
+  result.success = false;
+  result.error = errors.serialize(err);
+  return result;
+}
+
+/**
+ * Create the Organiq request for an HTTP request.
+ *
+ * @param {Organiq} organiq
+ * @param {Route} route
+ * @param {Object} httpreq
+ * @returns {OrganiqRequest}
+ */
+function createRequest(organiq, route, httpreq) {
+  var method = httpreq.method === 'HEAD' ? 'GET' : httpreq.method;
+  if (allowedMethods[route.type].indexOf(method) === -1) {
+    throw new errors.NotSupportedError(
+      'Method ' + httpreq.method + ' is not allowed.', { status: 405 });
+  }
+
+  var deviceid = route.deviceid;
+  var identifier = route.identifier;
+
+  switch (route.type) {
+    case 'devices':
+      // The list of devices is a property of the core device
+      return organiq.request.get(':core', 'ConnectedDevices');
+    case 'device':
+      return organiq.request.describe(deviceid, '.schema');
+    case 'history':
+      return organiq.request.invoke(':core', 'QueryHistory',
+        getHistoryQuery(deviceid, identifier, httpreq.query || {}));
+    case 'stats':
+      return organiq.request.get(':core', 'Stats');
+  }
+
+  switch(method) {
+    case 'GET':
+      if (identifier === '.schema' || identifier === '.config') {
+        return organiq.request.describe(deviceid, identifier);
+      }
+      return organiq.request.get(deviceid, identifier);
+    case 'PUT':
+      if (identifier === '.config') {
+        var config = httpreq.body;
+        return organiq.request.config(deviceid, identifier, config);
+      }
+      var value = httpreq.body;
+      return organiq.request.set(deviceid, identifier, value);
+    case 'POST':
+      var params = httpreq.body;
+      if (!declaresMethod(organiq.getSchema(deviceid), identifier)) {
+        params = JSON.stringify(params);
+      }
+      return organiq.request.invoke(deviceid, identifier, params);
+  }
+}
+
+/**
+ * Determine whether a device schema declares a method.
+ *
+ * @param {Object|null} deviceSchema
+ * @param {String} method
+ * @returns {Boolean}
+ */
+function declaresMethod(deviceSchema, method) {
+  var methods = deviceSchema && deviceSchema.methods;
+  return !!methods && Object.prototype.hasOwnProperty.call(methods, method);
+}
+
+/**
+ * Get the parameters of a history query from the HTTP query parameters.
+ *
+ * Times are passed as given (they may be ISO 8601 strings); other numbers are
+ * converted so that they can be validated.
+ *
+ * @param {String} deviceid
+ * @param {String} metric
+ * @param {Object} query
+ * @returns {Object} parameters for the core device QueryHistory method
+ */
+function getHistoryQuery(deviceid, metric, query) {
+  var params = { deviceid: deviceid, metric: metric };
+  ['from', 'to'].forEach(function(name) {
+    if (typeof query[name] !== 'undefined') {
+      params[name] = query[name];
+    }
+  });
+  ['interval', 'limit'].forEach(function(name) {
+    if (typeof query[name] !== 'undefined') {
+      params[name] = Number(query[name]);
+    }
+  });
+  return params;
+}
+
+/**
+ * Send the result of a successful request.
+ *
+ * Results of GET and HEAD requests are given an ETag computed from their
+ * content, and conditional requests for an unchanged value are answered with
+ * 304 Not Modified.
+ *
+ * @param {Object} httpreq
+ * @param {Object} httpres
+ * @param {*} res
+ */
+function sendResult(httpreq, httpres, res) {
+  var method = httpreq.method;
+  if (method !== 'GET' && method !== 'HEAD') {
+    return httpres.json(res);
+  }
+
+  var etag = '"' + crypto.createHash('sha1')
+      .update(String(JSON.stringify(res))).digest('hex') + '"';
+  httpres.setHeader('ETag', etag);
+
+  var ifNoneMatch = httpreq.headers && httpreq.headers['if-none-match'];
+  if (ifNoneMatch && matchesETag(ifNoneMatch, etag)) {
+    return httpres.status(304).end();
+  }
+  if (method === 'HEAD') {
+    httpres.setHeader('Content-Type', 'application/json');
+    return httpres.status(200).end();
+  }
+  httpres.json(res);
+}
+
+/**
+ * Send node statistics in the Prometheus text format.
+ *
+ * Statistics change constantly, so no ETag is given.
+ *
+ * @param {Object} httpreq
+ * @param {Object} httpres
+ * @param {StatsSnapshot} snapshot
+ */
+function sendStats(httpreq, httpres, snapshot) {
+  httpres.setHeader('Content-Type', 'text/plain; version=0.0.4');
+  httpres.setHeader('Cache-Control', 'no-cache');
+  if (httpreq.method === 'HEAD') {
+    return httpres.status(200).end();
+  }
+  httpres.status(200).send(Stats.toPrometheus(snapshot));
+}
+
+/**
+ * Determine whether an If-None-Match header matches an ETag.
+ *
+ * Weak comparison is used, as is appropriate for If-None-Match.
+ *
+ * @param {String} header
+ * @param {String} etag
+ * @returns {Boolean}
+ */
+function matchesETag(header, etag) {
+  return header.split(',').some(function(tag) {
+    tag = tag.trim();
+    return tag === '*' || tag.replace(/^W\//, '') === etag;
+  });
+}
+
+/**
+ * Send a JSON error response.
+ *
+ * Errors that give a `retryAfter` time in milliseconds (e.g., RateLimited)
+ * are sent with a Retry-After header, in seconds.
+ *
+ * @param {Object} httpres
+ * @param {Error} err
+ */
+function sendError(httpres, err) {
+  if (err && typeof err.retryAfter === 'number') {
+    httpres.setHeader('Retry-After', String(Math.ceil(err.retryAfter / 1000)));
+  }
+  httpres.status(errors.httpStatus(err))
+    .json({ error: errors.serialize(err) });
+}
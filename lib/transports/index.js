@@ -0,0 +1,138 @@
+/**
+ * Transports.
+ *
+ * A transport connects an Organiq node to the outside world: to applications
+ * and devices on other hosts, or to other nodes. Transports are created from
+ * factories registered here by name, and each node creates them with
+ * Organiq.transport():
+ *
+ * var organiq = require('organiq-core');
+ * organiq.transports.define('coap', require('organiq-coap'));
+ * var app = organiq();
+ * var server = app.transport('coap', { port: 5683 });
+ *
+ * The built-in transports are:
+ *
+ *  'express'   - Express middleware exposing the device API over HTTP (see
+ *                lib/transports/express)
+ *  'websocket' - WebSocket connection handler for clients, devices, and
+ *                other nodes (see lib/transports/websocket)
+ *  'loopback'  - in-process link between two nodes, with simulated network
+ *                conditions (see lib/transports/loopback)
+ *  'mqtt'      - bridge attaching devices on an MQTT broker (see
+ *                lib/transports/mqtt)
+ *
+ * A transport factory is called as `factory(organiq, options)` and returns
+ * whatever the transport needs to be attached to its host environment (e.g.,
+ * a request handler or a connection object). Transports use only the public
+ * interface of the node:
+ *
+ *  Applications - a request from a remote application is made through a
+ *    proxy obtained with organiq.connect(deviceid, context), and released
+ *    with organiq.disconnect(proxy). The context describes the origin of the
+ *    request; transports set `transport` (their name) and `connectionId`,
+ *    and preserve the context of requests relayed from other nodes. The
+ *    proxy emits 'put' and 'notify' (metric or event, value or params,
+ *    context, meta) for device-originated messages.
+ *
+ *  Devices - a device attached through the transport is registered with
+ *    organiq.register(deviceid, device), and removed with
+ *    organiq.deregister(deviceid). The device object implements get, set,
+ *    invoke, subscribe, unsubscribe, describe, and config (each returning a
+ *    value or a promise, and accepting a trailing `options` object with the
+ *    request `context`), and emits 'put' and 'notify' as above. A device with
+ *    `remote` set is not asked for its schema by the node. A device may have
+ *    a `context` giving the context of its registration, if it was forwarded
+ *    from another node.
+ *
+ *  Other nodes - a link to a node that is authoritative for a domain is
+ *    registered with organiq.registerGateway(domain, gateway, options), and
+ *    removed with organiq.deregisterGateway(domain, gateway). The gateway
+ *    implements:
+ *      register(deviceid, device, context) - forward the registration of a
+ *        local device (a proxy that emits the device's messages); returns a
+ *        promise
+ *      deregister(deviceid) - forward a deregistration; returns a promise
+ *      connect(deviceid, context) - returns a (promise for a) proxy for a
+ *        device for which the remote node is authoritative
+ *      disconnect(proxy) - release a proxy returned by connect()
+ *    While a link is down, organiq.setGatewayAvailable(gateway, false) lets
+ *    requests fail over to other gateways for the domain.
+ *
+ *  Security - credentials presented by remote clients are checked with
+ *    organiq.authenticate(credential, info), and their requests with
+ *    organiq.authorize(principal, method, deviceid).
+ *
+ * Failures are reported with the error types in lib/errors, which can be
+ * serialized (errors.serialize()) to be sent to another node.
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var express = require('./express');
+var websocket = require('./websocket');
+var loopback = require('./loopback');
+var mqtt = require('./mqtt');
+
+var factories = {};   // transport factories, by name
+
+/**
+ * Register a transport factory.
+ *
+ * @param {String} name name of the transport, as given to Organiq.transport()
+ * @param {function(Organiq, Object=): *} factory
+ * @throws {TypeError} if the factory is not a function
+ * @throws {Error} if a transport with the name is already registered
+ */
+exports.define = function define(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError('Transport factory must be a function.');
+  }
+  if (factories.hasOwnProperty(name)) {
+    throw new Error('Transport \'' + name + '\' is already defined.');
+  }
+  factories[name] = factory;
+};
+
+/**
+ * Remove a registered transport factory.
+ *
+ * Nodes keep any transports already created with it.
+ *
+ * @param {String} name
+ * @returns {Boolean} true if a transport with the name was registered
+ */
+exports.undefine = function undefine(name) {
+  if (!factories.hasOwnProperty(name)) {
+    return false;
+  }
+  delete factories[name];
+  return true;
+};
+
+/**
+ * Get a registered transport factory.
+ *
+ * @param {String} name
+ * @returns {function(Organiq, Object=): *|null} the factory, or null if there
+ *  is no transport with the name
+ */
+exports.get = function get(name) {
+  return factories.hasOwnProperty(name) ? factories[name] : null;
+};
+
+/**
+ * Get the names of the registered transports.
+ *
+ * @returns {Array<String>}
+ */
+exports.names = function names() {
+  return Object.keys(factories);
+};
+
+exports.define('express', express);
+exports.define('websocket', websocket);
+exports.define('loopback', loopback);
+exports.define('mqtt', mqtt);
@@ -0,0 +1,292 @@
+/**
+ * In-process (loopback) transport.
+ *
+ * Links two Organiq nodes in the same process as if they were connected over
+ * a WebSocket, without using sockets. The nodes speak the WebSocket protocol
+ * (see lib/transports/websocket) over an in-memory channel, so a link behaves
+ * as a network connection would: the local node may use the peer as a
+ * gateway, registrations and requests are forwarded, and requests that get no
+ * response time out.
+ *
+ * var local = organiq(), remote = organiq();
+ * var link = local.loopback(remote, { gateway: true, domain: '*' });
+ * // or: local.transport('loopback', { peer: remote, gateway: true });
+ * local.register('thermostat', device);   // registered with `remote`
+ * link.idle().then(function() { ... });  // all messages delivered
+ * link.close();
+ *
+ * The channel may simulate network conditions. Each message is delayed by
+ * `latency` milliseconds, may be dropped with probability `drop`, and may be
+ * reordered with probability `reorder` (it is then held back until the next
+ * message in the same direction has been delivered). Given a seeded `random`
+ * function, the conditions are reproducible, so that multi-node topologies
+ * can be tested deterministically.
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var when = require('when');
+var debug = require('debug')('organiq:loopback');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var websocket = require('./websocket');
+
+/**
+ * Export loopback transport factory.
+ */
+module.exports = loopback;
+module.exports.LoopbackLink = LoopbackLink;
+
+/**
+ * Create a loopback link to another node.
+ *
+ * @param {Organiq} organiq the local node
+ * @param {Object} options
+ * @param {Organiq} options.peer the node to link to
+ * @param {Boolean=} options.gateway if true, the peer is registered as a
+ *  gateway of the local node (see WebSocketApi()).
+ * @param {String=} options.domain domain for which the peer is the gateway.
+ *  Default is '*'.
+ * @param {Number=} options.priority priority of the gateway.
+ * @param {*=} options.credential credential presented to the peer.
+ * @param {Number=} options.requestTimeout time to wait for the response to
+ *  a request sent over the link, in milliseconds (see WebSocketApi()).
+ * @param {Number|Array<Number>=} options.latency delay of each message in
+ *  milliseconds, or the [min, max] range of the delay. Default is zero.
+ * @param {Number=} options.drop probability (0 to 1) that a message is lost.
+ * @param {Number=} options.reorder probability (0 to 1) that a message is
+ *  delivered after the message that follows it.
+ * @param {Number=} options.maxHold longest time, in milliseconds, that a
+ *  reordered message is held back waiting for another message. Default is
+ *  50.
+ * @param {function(): Number=} options.random source of random numbers in
+ *  [0, 1) used to simulate the network. Default is Math.random.
+ * @returns {LoopbackLink}
+ */
+function loopback(organiq, options) {
+  return new LoopbackLink(organiq, options);
+}
+
+/**
+ * Link between two nodes in the same process.
+ *
+ * @param {Organiq} organiq
+ * @param {Object} options see loopback()
+ * @returns {LoopbackLink}
+ * @constructor
+ */
+function LoopbackLink(organiq, options) {
+  if (!(this instanceof LoopbackLink)) {
+    return new LoopbackLink(organiq, options);
+  }
+  options = options || {};
+  if (!options.peer) {
+    throw new TypeError('Loopback link requires a peer node.');
+  }
+
+  this.latency = options.latency || 0;
+  this.drop = options.drop || 0;
+  this.reorder = options.reorder || 0;
+  this.maxHold = (typeof options.maxHold === 'number') ? options.maxHold : 50;
+  this.random = options.random || Math.random;
+  this.closed = false;
+  this.pending = 0;     // messages sent but not yet delivered (or dropped)
+  this.sequence = 0;    // sequence number of the last message sent
+  this.waiters = [];    // functions to call when no messages are pending
+  this.counts = { sent: 0, delivered: 0, dropped: 0, reordered: 0 };
+
+  this.local = new LoopbackSocket(this);
+  this.remote = new LoopbackSocket(this);
+  this.local.peer = this.remote;
+  this.remote.peer = this.local;
+
+  // The peer accepts the link as a server accepts a WebSocket connection,
+  // and the local node opens it as a client. Both nodes are in this process,
+  // so the peer trusts the principals relayed by the local node.
+  websocket(options.peer, {
+    trusted: true,
+    requestTimeout: options.requestTimeout
+  })(this.remote);
+  websocket(organiq, {
+    gateway: options.gateway,
+    domain: options.domain,
+    priority: options.priority,
+    credential: options.credential,
+    requestTimeout: options.requestTimeout
+  })(this.local);
+}
+
+/**
+ * Send a message across the link.
+ *
+ * @param {LoopbackSocket} target socket to which the message is delivered
+ * @param {String} data
+ * @private
+ */
+LoopbackLink.prototype.transmit = function(target, data) {
+  this.counts.sent++;
+  if (this.drop > 0 && this.random() < this.drop) {
+    this.counts.dropped++;
+    debug('Dropped message: ' + data);
+    return;
+  }
+
+  var self = this;
+  var message = { data: data, sequence: ++this.sequence, timer: null };
+  this.pending++;
+  if (!target.held && this.reorder > 0 && this.random() < this.reorder) {
+    // Deliver the message after the next one (or when it has been held
+    // long enough).
+    this.counts.reordered++;
+    target.held = message;
+    message.timer = setTimeout(function() {
+      self.release(target);
+    }, this.getDelay() + this.maxHold);
+    return;
+  }
+  message.timer = setTimeout(function() {
+    self.deliver(target, message);
+    if (target.held && target.held.sequence < message.sequence) {
+      self.release(target);
+    }
+  }, this.getDelay());
+};
+
+/**
+ * Deliver a message to a socket.
+ *
+ * @param {LoopbackSocket} target
+ * @param {Object} message
+ * @private
+ */
+LoopbackLink.prototype.deliver = function(target, message) {
+  this.pending--;
+  if (!this.closed) {
+    this.counts.delivered++;
+    try {
+      target.emit('message', message.data, { binary: false });
+    } catch (err) {
+      debug('Message handler threw exception: ' + err);
+    }
+  }
+  this.checkIdle();
+};
+
+/**
+ * Deliver the message held back for reordering, if any.
+ *
+ * @param {LoopbackSocket} target
+ * @private
+ */
+LoopbackLink.prototype.release = function(target) {
+  var held = target.held;
+  if (held) {
+    target.held = null;
+    clearTimeout(held.timer);
+    this.deliver(target, held);
+  }
+};
+
+/**
+ * Get the delay for a message.
+ *
+ * @returns {Number} milliseconds
+ * @private
+ */
+LoopbackLink.prototype.getDelay = function() {
+  var latency = this.latency;
+  if (Array.isArray(latency)) {
+    return latency[0] + Math.floor(this.random() * (latency[1] - latency[0]));
+  }
+  return latency;
+};
+
+/**
+ * Wait until no messages are in flight.
+ *
+ * Messages that are sent in response to delivered messages are waited for
+ * as well, so the returned promise resolves once the nodes have stopped
+ * exchanging messages.
+ *
+ * @returns {Promise}
+ */
+LoopbackLink.prototype.idle = function() {
+  var deferred = when.defer();
+  this.waiters.push(deferred.resolve);
+  this.checkIdle();
+  return deferred.promise;
+};
+
+/**
+ * Resolve waiters if no messages are in flight.
+ *
+ * The check is made once pending promise callbacks have run, so that
+ * messages sent in response to a delivery are counted.
+ *
+ * @private
+ */
+LoopbackLink.prototype.checkIdle = function() {
+  var self = this;
+  if (this.pending > 0 || this.waiters.length === 0) {
+    return;
+  }
+  setImmediate(function() {
+    if (self.pending > 0) {
+      return;
+    }
+    var waiters = self.waiters;
+    self.waiters = [];
+    waiters.forEach(function(resolve) { resolve(); });
+  });
+};
+
+/**
+ * Close the link.
+ *
+ * Both nodes see the connection close. Messages in flight are lost.
+ */
+LoopbackLink.prototype.close = function() {
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  this.local.emit('close');
+  this.remote.emit('close');
+  this.checkIdle();
+};
+
+/**
+ * One end of a loopback link, standing in for a WebSocket.
+ *
+ * @param {LoopbackLink} link
+ * @constructor
+ * @private
+ */
+function LoopbackSocket(link) {
+  EventEmitter.call(this);
+  this.link = link;
+  this.peer = null;   // the other end of the link
+  this.held = null;   // message to this end held back for reordering
+}
+util.inherits(LoopbackSocket, EventEmitter);
+
+/**
+ * Send a message to the other end.
+ *
+ * @param {String} data
+ * @param {function(Error=)=} ack called once the message has been sent (but
+ *  not necessarily delivered)
+ */
+LoopbackSocket.prototype.send = function(data, ack) {
+  var err = null;
+  if (this.link.closed) {
+    err = new Error('Loopback link is closed.');
+  } else {
+    this.link.transmit(this.peer, data);
+  }
+  if (ack) {
+    setImmediate(function() { ack(err); });
+  }
+};
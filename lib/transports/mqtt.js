@@ -0,0 +1,536 @@
+/**
+ * MQTT bridge transport.
+ *
+ * Attaches devices that speak MQTT to an Organiq node. The bridge uses an
+ * MQTT client (e.g., from the `mqtt` package) connected to a broker, and maps
+ * topics under a prefix to the device API:
+ *
+ *  {prefix}/{deviceid}/online            device -> node: any payload other
+ *                                        than 'offline' registers the device,
+ *                                        'offline' (or empty) deregisters it
+ *  {prefix}/{deviceid}/metrics/{metric}  device -> node: PUT of the metric
+ *  {prefix}/{deviceid}/events/{event}    device -> node: NOTIFY of the event
+ *  {prefix}/{deviceid}/requests          node -> device: GET, SET, INVOKE,
+ *                                        DESCRIBE and CONFIG requests
+ *  {prefix}/{deviceid}/responses         device -> node: request responses
+ *
+ * Payloads are JSON; a metric or event payload that is not valid JSON is
+ * taken as a string. Requests are published as
+ * `{ correlationId, method, identifier, value }`, and the device answers each
+ * with `{ correlationId, success, result, error }` (`success` may be omitted
+ * if `error` is not given).
+ *
+ * var mqttClient = require('mqtt').connect('mqtt://broker');
+ * var bridge = app.transport('mqtt', { client: mqttClient });
+ * // a device publishes 'online' to 'organiq/thermostat/online'
+ * app.connect('thermostat').get('temp');  // published to .../requests
+ * bridge.close();
+ *
+ * Devices attached through the bridge are registered with the node like any
+ * other device, so they are subject to its middleware, hooks, and routing.
+ * They do not offer a schema, however, so the node does not validate requests
+ * made of them; a device must check the requests it receives itself.
+ *
+ */
+
+/**
+ * Module Dependencies.
+ */
+var when = require('when');
+var debug = require('debug')('organiq:mqtt');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var errors = require('../errors');
+
+/**
+ * Export MQTT transport factory.
+ */
+module.exports = mqtt;
+module.exports.MqttBridge = MqttBridge;
+module.exports.MqttDevice = MqttDevice;
+
+var DEFAULT_PREFIX = 'organiq';
+var DEFAULT_REQUEST_TIMEOUT = 30000; // ms to wait for a response
+var MAX_SAFE_INTEGER = 9007199254740991;
+function newId() {
+  return Math.floor(Math.random() * MAX_SAFE_INTEGER).toString();
+}
+
+/**
+ * Create an MQTT bridge.
+ *
+ * @param {Organiq} organiq
+ * @param {Object} options
+ * @param {Object} options.client connected MQTT client. It must implement
+ *  `on('message')`, `subscribe()`, `unsubscribe()`, and `publish()` as the
+ *  client of the `mqtt` package does.
+ * @param {String=} options.prefix topic prefix. Default is 'organiq'.
+ * @param {Number=} options.qos quality of service for subscriptions and
+ *  published requests. Default is 0.
+ * @param {Number=} options.requestTimeout time to wait for the response to a
+ *  request, in milliseconds. Default is 30 seconds.
+ * @param {Object=} options.principal principal of the devices attached
+ *  through the broker, used to authorize their requests (see
+ *  Organiq.authorize()).
+ * @returns {MqttBridge}
+ */
+function mqtt(organiq, options) {
+  return new MqttBridge(organiq, options);
+}
+
+/**
+ * Bridge between an MQTT broker and an Organiq node.
+ *
+ * @param {Organiq} organiq
+ * @param {Object} options see mqtt()
+ * @returns {MqttBridge}
+ * @constructor
+ */
+function MqttBridge(organiq, options) {
+  if (!(this instanceof MqttBridge)) {
+    return new MqttBridge(organiq, options);
+  }
+  options = options || {};
+  if (!options.client) {
+    throw new TypeError('MQTT bridge requires a client.');
+  }
+
+  this.organiq = organiq;
+  this.client = options.client;
+  this.prefix = options.prefix || DEFAULT_PREFIX;
+  this.qos = options.qos || 0;
+  this.requestTimeout = (typeof options.requestTimeout === 'number') ?
+    options.requestTimeout : DEFAULT_REQUEST_TIMEOUT;
+  this.principal = options.principal || null;
+  this.id = newId();
+  this.closed = false;
+  this.devices = {};    // MqttDevice objects, by deviceid as published
+  this.requests = {};   // outstanding requests, by correlation id
+  this.lastRequest = 0; // counter used to make correlation ids
+
+  var self = this;
+  this.onMessage = function(topic, payload) {
+    self.handleMessage(topic, payload);
+  };
+  this.client.on('message', this.onMessage);
+  this.client.subscribe(this.prefix + '/#', { qos: this.qos }, function(err) {
+    if (err) {
+      debug('Failed to subscribe to ' + self.prefix + '/#: ' + err);
+    }
+  });
+}
+
+/**
+ * Get the topic of a device.
+ *
+ * @param {String} deviceid
+ * @param {String} kind e.g., 'requests'
+ * @returns {String}
+ * @private
+ */
+MqttBridge.prototype.topic = function(deviceid, kind) {
+  return this.prefix + '/' + deviceid + '/' + kind;
+};
+
+/**
+ * Get the context of requests originated by devices on the broker.
+ *
+ * @returns {Object}
+ * @private
+ */
+MqttBridge.prototype.getRequestContext = function() {
+  return {
+    transport: 'mqtt',
+    connectionId: this.id,
+    principal: this.principal
+  };
+};
+
+/**
+ * Handle a message published to the broker.
+ *
+ * @param {String} topic
+ * @param {Buffer|String} payload
+ * @private
+ */
+MqttBridge.prototype.handleMessage = function(topic, payload) {
+  var start = this.prefix + '/';
+  if (this.closed || topic.indexOf(start) !== 0) {
+    return;
+  }
+  var parts = topic.slice(start.length).split('/');
+  var deviceid = parts[0];
+  var kind = parts[1];
+  var name = parts.slice(2).join('/');
+  var text = payload.toString();
+
+  switch (kind) {
+    case 'online':
+      if (text === '' || text === 'offline') {
+        this.detach(deviceid);
+      } else {
+        this.attach(deviceid);
+      }
+      break;
+    case 'metrics':
+      this.publishToNode('put', deviceid, name, parsePayload(text));
+      break;
+    case 'events':
+      var params = parsePayload(text);
+      if (typeof params === 'undefined') {
+        params = [];
+      } else if (!Array.isArray(params)) {
+        params = [params];
+      }
+      this.publishToNode('notify', deviceid, name, params);
+      break;
+    case 'responses':
+      this.handleResponse(deviceid, parsePayload(text));
+      break;
+    case 'requests':
+      break;  // published by the bridge itself
+    default:
+      debug('Ignoring message on unknown topic: ' + topic);
+  }
+};
+
+/**
+ * Register a device that has come online.
+ *
+ * @param {String} deviceid
+ * @private
+ */
+MqttBridge.prototype.attach = function(deviceid) {
+  if (this.devices[deviceid]) {
+    return;   // e.g., a retained 'online' message delivered again
+  }
+  var self = this;
+  var device = new MqttDevice(this, deviceid);
+  this.devices[deviceid] = device;
+  this.organiq.authorize(this.principal, 'REGISTER', deviceid)
+    .then(function() {
+      if (self.devices[deviceid] !== device) {
+        return;   // went offline in the meantime
+      }
+      return self.organiq.register(deviceid, device);
+    })
+    .catch(function(err) {
+      // The registration may have been refused only by the gateway to which
+      // the node forwarded it, in which case the device remains attached.
+      debug('Registration of ' + deviceid + ' failed: ' + err);
+      if (self.devices[deviceid] === device &&
+          !self.isRegistered(deviceid, device)) {
+        delete self.devices[deviceid];
+      }
+    });
+};
+
+/**
+ * Deregister a device that has gone offline.
+ *
+ * Outstanding requests to the device fail, as it will not answer them.
+ *
+ * @param {String} deviceid
+ * @private
+ */
+MqttBridge.prototype.detach = function(deviceid) {
+  var device = this.devices[deviceid];
+  if (!device) {
+    return;
+  }
+  delete this.devices[deviceid];
+
+  for (var correlationId in this.requests) {
+    if (this.requests.hasOwnProperty(correlationId) &&
+        this.requests[correlationId].deviceid === deviceid) {
+      this.failRequest(correlationId,
+        new errors.NotConnectedError('Device went offline.'));
+    }
+  }
+
+  // The device may not (yet) be registered, or its registration may have
+  // been removed on the node by other means.
+  if (this.isRegistered(deviceid, device)) {
+    this.organiq.deregister(deviceid).catch(function(err) {
+      debug('Deregistration of ' + deviceid + ' failed: ' + err);
+    });
+  }
+};
+
+/**
+ * Determine whether a device attached by the bridge is the device registered
+ * (or parked) with the node.
+ *
+ * @param {String} deviceid
+ * @param {MqttDevice} device
+ * @returns {Boolean}
+ * @private
+ */
+MqttBridge.prototype.isRegistered = function(deviceid, device) {
+  var authority = this.organiq.getDeviceAuthority(deviceid);
+  return this.organiq.devices[authority.deviceid] === device ||
+    this.organiq.parked[authority.deviceid] === device;
+};
+
+/**
+ * Pass a device-originated message to the node.
+ *
+ * @param {String} event 'put' or 'notify'
+ * @param {String} deviceid
+ * @param {String} identifier metric or event name
+ * @param {*} value metric value or event parameters
+ * @private
+ */
+MqttBridge.prototype.publishToNode = function(event, deviceid, identifier,
+                                              value) {
+  var device = this.devices[deviceid];
+  if (!device) {
+    debug('Ignoring ' + event + ' from unknown device: ' + deviceid);
+    return;
+  }
+  var context = this.getRequestContext();
+  this.organiq.authorize(this.principal, event.toUpperCase(), deviceid)
+    .then(function() {
+      device.emit(event, identifier, value, context);
+    })
+    .catch(function(err) {
+      debug('Device message from ' + deviceid + ' refused: ' + err);
+    });
+};
+
+/**
+ * Publish a request to a device and wait for its response.
+ *
+ * @param {String} deviceid
+ * @param {Object} msg request, without its correlation id
+ * @param {Number} timeout milliseconds to wait for the response
+ * @returns {Promise} promise for the result, with a `cancel()` method
+ * @private
+ */
+MqttBridge.prototype.sendRequest = function(deviceid, msg, timeout) {
+  var self = this;
+  var deferred = when.defer();
+  var correlationId = msg.correlationId = this.id + '-' + (++this.lastRequest);
+  var request = this.requests[correlationId] = { deferred: deferred,
+                                                 deviceid: deviceid,
+                                                 timer: null };
+
+  if (this.closed) {
+    this.failRequest(correlationId,
+      new errors.NotConnectedError('MQTT bridge is closed.'));
+  } else {
+    if (timeout > 0) {
+      request.timer = setTimeout(function() {
+        self.failRequest(correlationId, new errors.TimeoutError(
+          'Request timed out after ' + timeout + 'ms.'));
+      }, timeout);
+      request.timer.unref();
+    }
+    this.client.publish(this.topic(deviceid, 'requests'), JSON.stringify(msg),
+      { qos: this.qos }, function(err) {
+        if (err) {
+          self.failRequest(correlationId, err);
+        }
+      });
+  }
+
+  var promise = deferred.promise;
+  promise.cancel = function cancel() {
+    return self.failRequest(correlationId, new Error('Request cancelled.'));
+  };
+  return promise;
+};
+
+/**
+ * Remove an outstanding request, returning its deferred.
+ *
+ * @param {String} correlationId
+ * @returns {Deferred|null} the deferred for the request, or null if it is no
+ *  longer outstanding
+ * @private
+ */
+MqttBridge.prototype.completeRequest = function(correlationId) {
+  var request = this.requests[correlationId];
+  if (!request) {
+    return null;
+  }
+  delete this.requests[correlationId];
+  clearTimeout(request.timer);
+  return request.deferred;
+};
+
+/**
+ * Reject an outstanding request.
+ *
+ * @param {String} correlationId
+ * @param {Error} err
+ * @returns {Boolean} true if the request was outstanding
+ * @private
+ */
+MqttBridge.prototype.failRequest = function(correlationId, err) {
+  var deferred = this.completeRequest(correlationId);
+  if (!deferred) {
+    return false;
+  }
+  deferred.reject(err);
+  return true;
+};
+
+/**
+ * Handle a response published by a device.
+ *
+ * Only the device to which a request was sent may answer it.
+ *
+ * @param {String} deviceid device whose topic the response was published to
+ * @param {Object} msg
+ * @private
+ */
+MqttBridge.prototype.handleResponse = function(deviceid, msg) {
+  var request = msg && this.requests[msg.correlationId];
+  if (!request || request.deviceid !== deviceid) {
+    debug('Ignoring response to unknown request from ' + deviceid + ': ' +
+      JSON.stringify(msg));
+    return;
+  }
+  var deferred = this.completeRequest(msg.correlationId);
+  var success = (typeof msg.success === 'boolean') ? msg.success : !msg.error;
+  if (success) {
+    deferred.resolve(msg.result);
+  } else {
+    deferred.reject(errors.deserialize(msg.error || 'Request failed.'));
+  }
+};
+
+/**
+ * Close the bridge.
+ *
+ * The bridge stops listening to the broker (the client is left connected),
+ * outstanding requests fail, and the attached devices are deregistered.
+ */
+MqttBridge.prototype.close = function() {
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  this.client.removeListener('message', this.onMessage);
+  this.client.unsubscribe(this.prefix + '/#', function(err) {
+    if (err) {
+      debug('Failed to unsubscribe: ' + err);
+    }
+  });
+
+  for (var correlationId in this.requests) {
+    if (this.requests.hasOwnProperty(correlationId)) {
+      this.failRequest(correlationId,
+        new errors.NotConnectedError('MQTT bridge closed.'));
+    }
+  }
+  Object.keys(this.devices).forEach(this.detach, this);
+};
+
+/**
+ * Device attached to the node through an MQTT bridge.
+ *
+ * Requests made of the device are published to its 'requests' topic. The
+ * device publishes its metrics and events itself, so subscribe() and
+ * unsubscribe() succeed without involving it.
+ *
+ * @param {MqttBridge} bridge
+ * @param {String} deviceid deviceid as published by the device
+ * @constructor
+ */
+function MqttDevice(bridge, deviceid) {
+  if (!(this instanceof MqttDevice)) {
+    return new MqttDevice(bridge, deviceid);
+  }
+  EventEmitter.call(this);
+  this.bridge = bridge;
+  this.deviceid = deviceid;
+
+  // The device has no schema to offer, so the node does not try to fetch one
+  // and requests made of the device are not validated.
+  this.remote = true;
+}
+util.inherits(MqttDevice, EventEmitter);
+
+/**
+ * Send a request to the device.
+ *
+ * @param {String} method
+ * @param {String} identifier
+ * @param {*=} value
+ * @param {Object=} options
+ * @param {Number=} options.timeout request timeout in milliseconds
+ * @param {Object=} options.context request context. If it has a `deadline`,
+ *  the request times out at the deadline.
+ * @returns {Promise}
+ * @private
+ */
+MqttDevice.prototype.sendRequest = function(method, identifier, value,
+                                            options) {
+  options = options || {};
+  var timeout = (typeof options.timeout === 'number') ?
+    options.timeout : this.bridge.requestTimeout;
+  var context = options.context;
+  if (context && context.deadline) {
+    var remaining = Math.max(context.deadline - Date.now(), 1);
+    timeout = (timeout > 0) ? Math.min(timeout, remaining) : remaining;
+  }
+
+  var msg = { method: method, identifier: identifier };
+  if (typeof value !== 'undefined') {
+    msg.value = value;
+  }
+  return this.bridge.sendRequest(this.deviceid, msg, timeout);
+};
+
+/*
+ * Each of the device methods accepts an optional trailing `options` object
+ * (e.g., `{ timeout: 5000 }`), and returns a promise that can be abandoned
+ * with `promise.cancel()`.
+ */
+MqttDevice.prototype.get = function(prop, options) {
+  return this.sendRequest('GET', prop, undefined, options);
+};
+
+MqttDevice.prototype.set = function(prop, value, options) {
+  return this.sendRequest('SET', prop, value, options);
+};
+
+MqttDevice.prototype.invoke = function(method, params, options) {
+  return this.sendRequest('INVOKE', method, params, options);
+};
+
+MqttDevice.prototype.subscribe = function() {
+  return when.resolve(true);
+};
+
+MqttDevice.prototype.unsubscribe = function() {
+  return when.resolve(true);
+};
+
+MqttDevice.prototype.describe = function(property, options) {
+  return this.sendRequest('DESCRIBE', property, undefined, options);
+};
+
+MqttDevice.prototype.config = function(property, value, options) {
+  return this.sendRequest('CONFIG', property, value, options);
+};
+
+/**
+ * Parse a message payload.
+ *
+ * @param {String} text
+ * @returns {*} the JSON value, the text itself if it is not JSON, or
+ *  undefined if it is empty
+ */
+function parsePayload(text) {
+  if (text === '') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
@@ -22,12 +22,16 @@
 var when_ = require('when');
 var debug = require('debug')('organiq:websocket');
 var util = require('util'); // node util
+var url = require('url');
 var EventEmitter = require('events').EventEmitter;
+var errors = require('../errors');
+var Stats = require('../stats');
 
 /**
  * Export WebSocketApi factory function.
  */
 module.exports = WebSocketApi;
+module.exports.ReconnectingGateway = ReconnectingWebSocketGateway;
 
 /* test-code */
 module.exports._WebSocketGateway = WebSocketGateway;
@@ -35,9 +39,12 @@ module.exports._WebSocketDeviceProxy = WebSocketDeviceProxy;
 /* end test-code */
 
 var gatewayCommands = ['CONNECT', 'DISCONNECT', 'REGISTER', 'DEREGISTER'];
-var downstreamCommands = ['GET', 'SET', 'INVOKE', 'SUBSCRIBE', 'DESCRIBE', 'CONFIG'];
+var downstreamCommands = ['GET', 'SET', 'INVOKE', 'SUBSCRIBE', 'UNSUBSCRIBE',
+                          'DESCRIBE', 'CONFIG'];
 var upstreamCommands = ['PUT', 'NOTIFY'];
+var forwardedCommands = ['REGISTER', 'CONNECT', 'PUT', 'NOTIFY'];
 var responseCommand = ['RESPONSE'];
+var authCommand = 'AUTH';
 
 function isGatewayCommand(method) {
   return gatewayCommands.indexOf(method) !== -1;
@@ -51,22 +58,85 @@ function isUpstreamCommand(method) {
   return upstreamCommands.indexOf(method) !== -1;
 }
 
+function isForwardedCommand(method) {
+  return forwardedCommands.indexOf(method) !== -1;
+}
+
 function isResponseCommand(method) {
   return method === 'RESPONSE';
 }
 
+function isAuthCommand(method) {
+  return method === authCommand;
+}
+
 function isValidRequestMethod(method) {
   return ((responseCommand.indexOf(method) !== -1) ||
+          (method === authCommand) ||
           (downstreamCommands.indexOf(method) !== -1) ||
           (gatewayCommands.indexOf(method) !== -1) ||
           (upstreamCommands.indexOf(method) !== -1));
 }
 
+/**
+ * Get the credential presented in the WebSocket handshake, if any.
+ *
+ * @param {http.IncomingMessage=} upgradeReq
+ * @returns {String|undefined}
+ */
+function getHandshakeCredential(upgradeReq) {
+  if (!upgradeReq) {
+    return undefined;
+  }
+  var headers = upgradeReq.headers || {};
+  if (headers.authorization) {
+    return headers.authorization;
+  }
+  var query = url.parse(upgradeReq.url || '', true).query;
+  return query.access_token;
+}
+
+/**
+ * Get the statistics collection of the node, defining the WebSocket
+ * statistics. A private collection is used if the node has none.
+ *
+ * @param {Organiq} organiq
+ * @returns {Stats}
+ */
+function getStats(organiq) {
+  var stats = (organiq && organiq.stats) || new Stats();
+  stats.define('organiq_websocket_messages_total', 'counter',
+    'WebSocket messages sent and received, by direction and method.');
+  stats.define('organiq_websocket_outstanding_requests', 'gauge',
+    'Requests sent over WebSocket connections awaiting a response.');
+  stats.define('organiq_websocket_reconnects_total', 'counter',
+    'Gateway links re-established after being lost.');
+  stats.define('organiq_websocket_rejected_total', 'counter',
+    'WebSocket requests refused as forwarding loops or duplicates, by reason.');
+  return stats;
+}
+
+var DEFAULT_REQUEST_TIMEOUT = 30000; // ms to wait for a RESPONSE
+var REPLAY_WINDOW = 1000;  // answered forwarded requests kept for replay
+var REPLAY_TTL = 60000;    // ms an answered forwarded request is kept
 var MAX_SAFE_INTEGER = 9007199254740991;
 function newId() {
   return Math.floor(Math.random() * MAX_SAFE_INTEGER).toString();
 }
 
+/**
+ * Add the timestamp and sequence number of a PUT or NOTIFY to a wire message.
+ *
+ * @param {Object} msg
+ * @param {MessageMeta=} meta
+ */
+function setMeta(msg, meta) {
+  if (meta) {
+    if (typeof meta.timestamp === 'number') { msg.timestamp = meta.timestamp; }
+    if (typeof meta.sequence === 'number') { msg.sequence = meta.sequence; }
+  }
+}
+
 /**
  * WebSocket JSON 'wire' representation.
  *
@@ -80,15 +150,29 @@ function newId() {
  * GET        property
  * SET        property
  * INVOKE     method
+ * SUBSCRIBE  event/metric (may be a wildcard pattern)
+ * UNSUBSCRIBE event/metric
+ *
+ * PUT        metric        metric value
+ * NOTIFY     event         event parameters
+ *
+ * PUT and NOTIFY also carry the `timestamp` and `sequence` of the message
+ * (see MessageMeta).
  *
- * PUT        metric
- * NOTIFY     event
+ * REGISTER, CONNECT, and the PUT and NOTIFY messages of registered devices
+ * are forwarded from node to node toward the authoritative node. These carry
+ * `hops`, the number of times the request has been forwarded, and `via`, the
+ * ids of the nodes that forwarded it (see Organiq `nodeid`). A node refuses a
+ * request whose `via` includes its own id, or whose `hops` exceeds the node's
+ * `maxHops`, with LoopDetectedError.
  *
  * CONNECT    n/a
  * DISCONNECT n/a
  * REGISTER   n/a
  * DEREGISTER n/a
  *
+ * AUTH       n/a           credential
+ *
  * @returns {WebSocketRequest}
  * @constructor
  */
@@ -123,15 +207,18 @@ void(WebSocketRequest);
  * message type of RESPONSE.
  *
  * Messages include:
- *  GET, SET, INVOKE, SUBSCRIBE, CONFIG - Application requests made by a client
- *    on this connection and directed at a device (that is not on this
- *    connection).
+ *  GET, SET, INVOKE, SUBSCRIBE, UNSUBSCRIBE, CONFIG - Application requests
+ *    made by a client on this connection and directed at a device (that is
+ *    not on this connection). Once a client has subscribed on a connection,
+ *    only the events and metrics it subscribed to are sent to it.
  *  PUT, NOTIFY - Device notifications originating from a device registered on
  *    this connection.
  *  REGISTER, DEREGISTER - administrative requests issued on behalf of devices
  *    by their device container.
  *  CONNECT, DISCONNECT - administrative requests issued on behalf of devices
  *    by their device container.
+ *  AUTH - presents a credential on behalf of the remote node. Must be the
+ *    first message sent if the credential was not given in the handshake.
  *  RESPONSE - a reply to any of the above. The `reqid` of a RESPONSE message
  *    matches the `regid` given in the request to which it is the response.
  *
@@ -145,24 +232,61 @@ void(WebSocketRequest);
  * generally originate from applications on other connections that want to
  * communicate with a device on this connection, or system components.
  *
+ * If the node has an authentication policy (see Organiq()), the remote node
+ * must be authenticated before its requests are handled. The credential may
+ * be given in the WebSocket handshake (as an `Authorization` header or an
+ * `access_token` query parameter), or in an initial AUTH message. Every
+ * request is then checked against the node's authorization policy, and
+ * denied requests receive a failure RESPONSE. Connections that we establish
+ * as a gateway are trusted, and are not subject to the policy.
+ *
+ * The principal of a request is that of the remote client. Only a trusted
+ * peer (a gateway, or a node accepted with the `trusted` option) may relay
+ * the principal of a request that originated elsewhere.
+ *
  * Requests in both directions may be overlapped; that is, multiple requests
  * may be outstanding at any given time, and responses to those requests may
  * come in any order. To facilitate multiplexing, each request has an associated
  * `reqid` property (assigned by the sender) which is included in the RESPONSE
- * sent by the responder.
+ * sent by the responder. A forwarded request (REGISTER, CONNECT, PUT or
+ * NOTIFY) from another node that arrives again, unchanged (e.g., because the
+ * sender retried it after its request timed out), is not handled twice. If
+ * the original is still outstanding, its response answers both; if it has
+ * been answered within the last minute, that response is sent again.
  *
  * @param {Organiq} organiq The core device proxy object
  * @param {object} options
+ * @param {Boolean|WebSocketGateway} options.gateway If set, this connection
+ *  will register as a gateway. An existing WebSocketGateway may be given to
+ *  bind it to the new connection; its routes are then kept, but unavailable
+ *  (see Organiq.setGatewayAvailable()), when the connection closes.
  * @param {String} options.domain If set, this connection will register as
  *  a gateway authoritative for the given domain.
+ * @param {Number=} options.priority priority of the gateway among gateways
+ *  registered for the same domain (see Organiq.registerGateway()).
+ * @param {Boolean=} options.trusted If set, the remote client is a trusted
+ *  node, and the principal given in the context of its requests is used.
+ *  Gateway connections are always trusted.
+ * @param {*=} options.credential If set, the credential is sent to the remote
+ *  node in an AUTH message when the connection is established.
+ * @param {Number=} options.requestTimeout Number of milliseconds to wait for
+ *  the RESPONSE to a request sent on this connection before failing it. A
+ *  value of zero disables the timeout. Default is 30 seconds.
  * @returns {Function} handler function to be installed for 'connection'
  *  or 'open' handler.
  *
  */
 function WebSocketApi(organiq, options) {
   options = options || {};
+  var gateway = (options.gateway instanceof WebSocketGateway) ?
+    options.gateway : null;
   options.gateway = options.gateway ? true : false;
+  options.trusted = options.trusted || options.gateway;
   options.domain = options.domain || '*';
+  if (typeof options.requestTimeout !== 'number') {
+    options.requestTimeout = DEFAULT_REQUEST_TIMEOUT;
+  }
+  var stats = getStats(organiq);
 
   /**
    * Connection handler function.
@@ -221,6 +345,7 @@ function WebSocketApi(organiq, options) {
      * @type {Object.<string, LocalDeviceProxy>}
      */
     var devices = {};   // LocalDeviceProxy objects by connid
+    var deviceIds = {}; // deviceid of each connected device, by connid
 
     /**
      * Collection of proxies for remote devices for which we are authoritative.
@@ -247,8 +372,14 @@ function WebSocketApi(organiq, options) {
      * @type {Object.<string, WebSocketDeviceProxy>}
      */
     var proxyConnections = {}; // WebSocketDeviceProxy arrays by deviceid
+    var connectionId = newId(); // identifies this connection in contexts
     var requests = {};  // outstanding server-originated requests, by reqid
+                        // (each entry holds the deferred and timeout timer)
     var _reqid = 0;     // request ID used for last server-originated request
+    var received = Object.create(null); // recent forwarded requests from
+                        // the remote node (their messages and responses),
+                        // by reqid
+    var receivedOrder = []; // reqids in `received`, oldest first
     var handlers = {};  // protocol command handlers, by command
 
     // Access to functions within this closure are required for WebSocketGateway
@@ -260,19 +391,62 @@ function WebSocketApi(organiq, options) {
       disconnectLocalDevice: disconnectLocalDevice,
       disconnectLocalDeviceByDeviceId: disconnectLocalDeviceByDeviceId,
       registerProxyConnection: registerProxyConnection,
-      deregisterProxyConnection: deregisterProxyConnection};
+      deregisterProxyConnection: deregisterProxyConnection,
+      setPath: setPath};
 
     ws = ws || this;    // in case of 'open', ws is undefined and `this` is WebSocket
 
+    /**
+     * Promise for the principal of the remote node, if authentication is
+     * required on this connection. It is null until a credential has been
+     * presented, either in the handshake or with an AUTH message.
+     *
+     * @type {Promise|null}
+     */
+    var principal = null;
+    var peerPrincipal = null; // the resolved value of `principal`
+    var authRequired = !!(organiq && organiq.auth) && !options.gateway;
+    var authInfo = { transport: 'websocket', request: ws.upgradeReq };
+    if (authRequired) {
+      var credential = getHandshakeCredential(ws.upgradeReq);
+      if (typeof credential !== 'undefined') {
+        authenticate(credential);
+      }
+    }
+
     ws.on('message', processMessage);
     ws.on('close', processClose);
     ws.on('error', processError);
 
+    // Present our credential before anything else is sent.
+    if (typeof options.credential !== 'undefined') {
+      sendRequest({ method: authCommand, value: options.credential })
+        .catch(function(err) {
+          debug('Authentication with remote node failed: ' + err);
+        });
+    }
+
     // If this connection is being configured as a gateway, all local device
     // registrations need to be forwarded to the remote node. We do this by
     // exposing methods to the local host through a registered gateway object.
-    if (options.gateway) {
-      organiq.registerGateway(options.domain, new WebSocketGateway(connection));
+    // An existing gateway object may be given (e.g., when a dropped gateway
+    // link is re-established), in which case it is bound to this connection.
+    // If it still has routes from an earlier connection, they are made
+    // available again rather than registered anew.
+    var linkGateway = null;   // gateway registered for this connection
+    if (gateway) {
+      gateway.attach(connection).catch(function(err) {
+        debug('Failed to reconnect device proxies: ' + err);
+      });
+      linkGateway = gateway;
+    } else if (options.gateway) {
+      linkGateway = new WebSocketGateway(connection);
+    }
+    if (gateway && organiq.routes.hasGateway(gateway)) {
+      organiq.setGatewayAvailable(gateway, true);
+    } else if (linkGateway) {
+      organiq.registerGateway(options.domain, linkGateway,
+        { priority: options.priority });
     }
 
     /**
@@ -292,7 +466,9 @@ function WebSocketApi(organiq, options) {
      *  `reqid` - the value of reqid from the request message
      *  `success` - a boolean that is true if the request was successful
      *  `res` - on success, a JavaScript object representing the returned value
-     *  `err` - on failure, a JavaScript Error object
+     *  `err` - on failure, the error message
+     *  `error` - on failure, the error with its `code` and other properties
+     *    (see errors.serialize()). Older nodes send only `err`.
      *
      * @param {String} data Data provided by the underlying WebSocket provider
      * @param {Object} flags includes `binary` property as boolean
@@ -317,12 +493,200 @@ function WebSocketApi(organiq, options) {
         throw new Error(
           'Invalid message received: invalid method \'' + method + '\'');
       }
+      stats.increment('organiq_websocket_messages_total',
+        { direction: 'in', method: method });
 
       // Special handling for responses
       if (isResponseCommand(method)) {
         return handleResponse(msg);
       }
 
+      if (isAuthCommand(method)) {
+        return handleAuth(msg);
+      }
+
+      // Requests forwarded by the remote node that were already seen on this
+      // connection are not handled again.
+      if (isForwardedCommand(method)) {
+        if (Array.isArray(msg.via)) {
+          if (isDuplicate(msg)) {
+            return handleDuplicate(msg);
+          }
+          remember(msg);
+        }
+
+        var loopError = checkPath(msg);
+        if (loopError) {
+          debug('Refused ' + method + ' for ' + msg.deviceid + ': ' +
+            loopError.message);
+          stats.increment('organiq_websocket_rejected_total',
+            { reason: 'loop' });
+          return sendFailureResponse(msg, loopError);
+        }
+      }
+
+      // Downstream commands are carried out on the device connected as
+      // `connid`, so they must name that device; it is the one authorized.
+      if (isDownstreamCommand(method) && !isConnectedAs(msg.connid,
+                                                        msg.deviceid)) {
+        debug('Refused ' + method + ' for ' + msg.deviceid +
+          ': connection is for another device.');
+        return sendFailureResponse(msg, new errors.NotConnectedError(
+          'Invalid downstream command: connection is for another device.',
+          { deviceid: msg.deviceid }));
+      }
+
+      if (authRequired) {
+        // If the first message isn't AUTH, the remote node is anonymous; the
+        // policy decides whether that is acceptable.
+        if (!principal) {
+          authenticate(undefined);
+        }
+        return principal
+          .then(function(p) {
+            return organiq.authorize(p, method, msg.deviceid);
+          })
+          .then(function() {
+            return handleMessage(msg);
+          }, function(err) {
+            debug('Request not authorized: ' + err);
+            sendFailureResponse(msg, err);
+          });
+      }
+      return handleMessage(msg);
+    }
+
+    /**
+     * Determine whether a downstream command names the device connected as
+     * the given connid. An unknown connid is left to handleMessage().
+     *
+     * @param {String} connid
+     * @param {String} deviceid
+     * @returns {Boolean}
+     */
+    function isConnectedAs(connid, deviceid) {
+      if (!deviceIds.hasOwnProperty(connid)) {
+        return true;
+      }
+      var normalize = function(id) {
+        return organiq.getDeviceAuthority(id || '').deviceid;
+      };
+      return normalize(deviceIds[connid]) === normalize(deviceid);
+    }
+
+    /**
+     * Determine whether a request repeats a recent one.
+     *
+     * A request is a repeat only if it is identical to the outstanding or
+     * recently answered request with the same reqid.
+     *
+     * @param {Object} msg
+     * @returns {Boolean}
+     */
+    function isDuplicate(msg) {
+      pruneReceived();
+      return msg.reqid in received &&
+        received[msg.reqid].message === JSON.stringify(msg);
+    }
+
+    /**
+     * Record a forwarded request received from the remote node.
+     *
+     * The request is kept while outstanding and, once answered, along with its
+     * response for REPLAY_TTL ms (and at most REPLAY_WINDOW requests).
+     *
+     * @param {Object} msg
+     */
+    function remember(msg) {
+      if (!(msg.reqid in received)) {
+        receivedOrder.push(msg.reqid);
+      }
+      received[msg.reqid] = { message: JSON.stringify(msg), response: null,
+                              answeredAt: null };
+      pruneReceived();
+    }
+
+    // Forget the oldest requests beyond the window, and answered requests
+    // older than REPLAY_TTL.
+    function pruneReceived() {
+      var now = Date.now();
+      while (receivedOrder.length) {
+        var entry = received[receivedOrder[0]];
+        var expired = entry.answeredAt !== null &&
+          now - entry.answeredAt > REPLAY_TTL;
+        if (receivedOrder.length <= REPLAY_WINDOW && !expired) {
+          break;
+        }
+        delete received[receivedOrder.shift()];
+      }
+    }
+
+    /**
+     * Handle a repeat of a recent request.
+     *
+     * The request is not handled again. If the original has been answered,
+     * its response is sent again; otherwise the response to the original, when
+     * it completes, answers both.
+     *
+     * @param {Object} msg
+     */
+    function handleDuplicate(msg) {
+      debug('Ignoring duplicate request: ' + msg.reqid);
+      stats.increment('organiq_websocket_rejected_total',
+        { reason: 'duplicate' });
+      var response = received[msg.reqid].response;
+      if (response) {
+        send(response, ackResponse);
+      }
+    }
+
+    /**
+     * Check the path of a request forwarded by the remote node.
+     *
+     * @param {Object} msg
+     * @returns {LoopDetectedError|null} the reason the request must be
+     *  refused, or null if it may be handled
+     */
+    function checkPath(msg) {
+      var nodeid = organiq.nodeid;
+      var maxHops = organiq.maxHops;
+      if (Array.isArray(msg.via) && nodeid && msg.via.indexOf(nodeid) !== -1) {
+        return new errors.LoopDetectedError(
+          'Request has already been forwarded by this node.',
+          { deviceid: msg.deviceid, via: msg.via });
+      }
+      if (typeof msg.hops === 'number' && maxHops && msg.hops > maxHops) {
+        return new errors.LoopDetectedError(
+          'Request has been forwarded more than ' + maxHops + ' times.',
+          { deviceid: msg.deviceid, hops: msg.hops });
+      }
+      return null;
+    }
+
+    /**
+     * Add the path of a request being forwarded to the remote node.
+     *
+     * The local node is added to the nodes the request has passed through,
+     * as given by the request context (if any).
+     *
+     * @param {Object} msg
+     * @param {Object=} context context of the request being forwarded
+     */
+    function setPath(msg, context) {
+      context = context || {};
+      var via = Array.isArray(context.via) ? context.via : [];
+      msg.via = via.concat(organiq.nodeid);
+      msg.hops = (context.hops || 0) + 1;
+    }
+
+    /**
+     * Handle a validated device or administrative request.
+     *
+     * @param {Object} msg
+     */
+    function handleMessage(msg) {
+      var method = msg.method;
+
       // Administrative commands
       if (isGatewayCommand(method)) {
         return handlers[method](msg);
@@ -334,30 +698,34 @@ function WebSocketApi(organiq, options) {
       // and the device is attached locally.
       if (isDownstreamCommand(method)) {
         if (typeof devices[msg.connid] === 'undefined') {
-          var err = 'Invalid downstream command: bad connection ID.';
-          return sendFailureResponse(msg, err);
+          return sendFailureResponse(msg, new errors.NotConnectedError(
+            'Invalid downstream command: bad connection ID.'));
         }
         var device = devices[msg.connid];
+        var reqOptions = { context: getRequestContext(msg) };
         var promise;
 
         switch (method) {
           case 'GET':
-            promise = device.get(msg.identifier);
+            promise = device.get(msg.identifier, reqOptions);
             break;
           case 'SET':
-            promise = device.set(msg.identifier, msg.value);
+            promise = device.set(msg.identifier, msg.value, reqOptions);
             break;
           case 'INVOKE':
-            promise = device.invoke(msg.identifier, msg.value);
+            promise = device.invoke(msg.identifier, msg.value, reqOptions);
             break;
           case 'SUBSCRIBE':
-            promise = device.subscribe(msg.identifier);
+            promise = device.subscribe(msg.identifier, reqOptions);
+            break;
+          case 'UNSUBSCRIBE':
+            promise = device.unsubscribe(msg.identifier, reqOptions);
             break;
           case 'DESCRIBE':
-            promise = device.describe(msg.identifier);
+            promise = device.describe(msg.identifier, reqOptions);
             break;
           case 'CONFIG':
-            promise = device.config(msg.identifier, msg.value);
+            promise = device.config(msg.identifier, msg.value, reqOptions);
             break;
         }
 
@@ -366,8 +734,7 @@ function WebSocketApi(organiq, options) {
           })
           .catch(function (err) {
             debug('dispatch failed: ' + err);
-            var errMessage = (err instanceof Error) ? err.message : err;
-            sendFailureResponse(msg, errMessage);
+            sendFailureResponse(msg, err);
           });
       }
 
@@ -380,25 +747,27 @@ function WebSocketApi(organiq, options) {
         // to the device would've been handled directly by core.
         //
         // If we are not authoritative for this device, then we might have given
-        // out proxies to local connect() API callers. We need to emit on all of
-        // these objects to signal to the application-level code.
-        var ps = proxies[msg.deviceid] || proxyConnections[msg.deviceid] || [];
-        if (!Array.isArray(ps)) {
-          ps = [ps];
-        }
+        // out proxies to local connect() API callers. The remote node sends
+        // each message once for every connection whose subscriptions it
+        // matches, so we emit only on the proxy for the given connection.
+        var ps = [proxies[msg.deviceid]]
+          .concat(proxyConnections[msg.deviceid] || [])
+          .filter(function(p) { return p && p.connid === msg.connid; });
+        var context = getRequestContext(msg);
+        var meta = { timestamp: msg.timestamp, sequence: msg.sequence };
         for(var i=0;i<ps.length;i++) {
           var proxy = ps[i];
           try {
             switch (method) {
               case 'PUT':
-                proxy.emit('put', msg.identifier, msg.value);
+                proxy.emit('put', msg.identifier, msg.value, context, meta);
                 break;
               case 'NOTIFY':
                 var params = msg.value;
                 if (!Array.isArray(params)) {
                   params = [params];
                 }
-                proxy.emit('notify', msg.identifier, params);
+                proxy.emit('notify', msg.identifier, params, context, meta);
                 break;
             }
           } catch(err) {
@@ -411,6 +780,76 @@ function WebSocketApi(organiq, options) {
       }
     }
 
+    /**
+     * Handle an AUTH protocol command.
+     *
+     * The credential is given to the node's authentication policy, and the
+     * resulting principal is used to authorize subsequent requests on this
+     * connection.
+     *
+     * @param {Object} msg
+     */
+    function handleAuth(msg) {
+      if (!authRequired) {
+        return sendResponse(msg, true);
+      }
+      authenticate(msg.value);
+      return principal.then(function() {
+        sendResponse(msg, true);
+      }, function(err) {
+        sendFailureResponse(msg, err);
+      });
+    }
+
+    /**
+     * Authenticate the remote node with the given credential.
+     *
+     * @param {*} credential
+     */
+    function authenticate(credential) {
+      principal = organiq.authenticate(credential, authInfo);
+      principal.then(function(p) {
+        peerPrincipal = p;
+      }, function(err) {
+        debug('Authentication failed: ' + err);
+      });
+    }
+
+    /**
+     * Get the request context for a message received on this connection.
+     *
+     * Messages relayed from other nodes carry the context of the original
+     * request, which is preserved. Anything not already populated is filled
+     * in from this connection. The principal is always that of the remote
+     * client, unless the connection is trusted to relay it. The path of a
+     * forwarded message is recorded in the context, so that it is extended
+     * if the request is forwarded again.
+     *
+     * @param {Object} msg
+     * @returns {Object} request context
+     */
+    function getRequestContext(msg) {
+      var context = {};
+      var remote = msg.context || {};
+      for (var key in remote) {
+        if (remote.hasOwnProperty(key)) {
+          context[key] = remote[key];
+        }
+      }
+      if (!context.transport) {
+        context.transport = 'websocket';
+        context.connectionId = connectionId;
+      }
+      if (!options.trusted || !context.principal) {
+        context.principal = peerPrincipal;
+      }
+      if (Array.isArray(msg.via)) {
+        context.via = msg.via;
+        context.hops = msg.hops;
+      }
+      return context;
+    }
+
     /**
      * Handle a REGISTER protocol command
      *
@@ -435,18 +874,29 @@ function WebSocketApi(organiq, options) {
       var connid = req.connid;
 
       // Only one instance of a given deviceid can be registered on a connection.
+      // (The registration may have been removed on this node, e.g. by an
+      // operator through the core device, in which case it may be replaced.)
       if (typeof proxies[deviceid] !== 'undefined') {
-        sendFailureResponse(req, 'Already registered');
-        return;
+        if (isRegistered(deviceid, proxies[deviceid])) {
+          sendFailureResponse(req, 'Already registered');
+          return;
+        }
+        delete proxies[deviceid];
       }
 
       // Create a proxy for the remote device, and register it with the local
       // system. If we get a valid registration id, return it to the caller.
       var proxy = new WebSocketDeviceProxy(connection, deviceid, connid);
+      proxy.context = getRequestContext(req);
       var regid = organiq.register(deviceid, proxy);
       if (regid) {
         proxies[deviceid] = proxy;
         sendResponse(req, deviceid);
+        // The local node may forward the registration to its own gateway,
+        // which may refuse it (e.g., as a loop).
+        when_(regid).catch(function(err) {
+          debug('Registration of ' + deviceid + ' not forwarded: ' + err);
+        });
       } else {
         sendFailureResponse(req, 'Device registration failed');
       }
@@ -465,10 +915,12 @@ function WebSocketApi(organiq, options) {
       var proxy = proxies[deviceid];
       if (proxy) {
         delete proxies[deviceid];
-        organiq.deregister(deviceid);
+        if (isRegistered(deviceid, proxy)) {
+          organiq.deregister(deviceid);
+        }
         sendResponse(req, proxy.deviceid);
       } else {
-        sendFailureResponse(req, 'Unknown device');
+        sendFailureResponse(req, new errors.NotConnectedError('Unknown device'));
       }
     };
 
@@ -485,8 +937,9 @@ function WebSocketApi(organiq, options) {
     handlers['CONNECT'] = function handleConnect(req) {
       var deviceid = req.deviceid;
 
-      // Attempt to connect to the device on the local node.
-      var device = organiq.connect(deviceid);
+      // Attempt to connect to the device on the local node. The remote
+      // client's context is applied to every request made on the connection.
+      var device = organiq.connect(deviceid, getRequestContext(req));
       if (!device) {
         return sendFailureResponse(req, 'Device connect failed.');
       }
@@ -510,7 +963,8 @@ function WebSocketApi(organiq, options) {
 
       var device = disconnectLocalDevice(connid);
       if (!device) {
-        sendFailureResponse(req, 'Unknown device connection');
+        sendFailureResponse(req,
+          new errors.NotConnectedError('Unknown device connection'));
       }
       organiq.disconnect(device);
 
@@ -526,17 +980,48 @@ function WebSocketApi(organiq, options) {
      */
     function processClose() {
       debug('websocket closed.');
+
+      // Fail any requests for which we will now never receive a response.
+      for (var reqid in requests) {
+        if (requests.hasOwnProperty(reqid)) {
+          failRequest(reqid, new errors.NotConnectedError('Connection closed.'));
+        }
+      }
+
       for (var deviceid in proxies) {
-        if (proxies.hasOwnProperty(deviceid)) {
+        if (proxies.hasOwnProperty(deviceid) &&
+            isRegistered(deviceid, proxies[deviceid])) {
           organiq.deregister(deviceid);
         }
       }
       proxies = {};
-      if (options.gateway) {
-        organiq.deregisterGateway(options.domain);
+
+      // The gateway may have been registered for other domains as well, or
+      // already deregistered, through the core device. A gateway given to us
+      // outlives the connection, so its routes are only marked unavailable
+      // until it is bound to a new one.
+      if (gateway) {
+        organiq.setGatewayAvailable(gateway, false);
+      } else if (linkGateway) {
+        organiq.routes.getDomains(linkGateway).forEach(function(domain) {
+          organiq.deregisterGateway(domain, linkGateway);
+        });
       }
     }
 
+    /**
+     * Determine whether a proxy created for a REGISTER on this connection is
+     * still the device registered with the local node.
+     *
+     * @param {String} deviceid
+     * @param {WebSocketDeviceProxy} proxy
+     * @returns {Boolean}
+     */
+    function isRegistered(deviceid, proxy) {
+      var authority = organiq.getDeviceAuthority(deviceid);
+      return organiq.devices[authority.deviceid] === proxy;
+    }
+
     /**
      * Handle an error raised on the WebSocket connection (via ws.on('error')).
      */
@@ -547,39 +1032,135 @@ function WebSocketApi(organiq, options) {
     /**
      * Deliver a protocol request to this connection.
      *
+     * The returned promise is rejected if no RESPONSE is received within the
+     * configured timeout, or if the connection closes first. It also carries a
+     * `cancel()` method that can be used to abandon the request; a response
+     * that arrives for a cancelled request is ignored. Cancellation is local
+     * only: the remote node is not told, and may still carry out the request.
+     *
+     * The timeout does not keep the process running.
+     *
      * @param msg
      * @param msg.method
      * @param msg.deviceid
      * @param msg.connid
      * @param msg.identifier
      * @param msg.value
+     * @param {Object=} reqOptions
+     * @param {Number=} reqOptions.timeout milliseconds to wait for a response,
+     *  overriding the connection's `requestTimeout`.
      *
      * @returns {Promise|promise|}
      */
-    function sendRequest(msg) {
+    function sendRequest(msg, reqOptions) {
+      reqOptions = reqOptions || {};
+      var timeout = (typeof reqOptions.timeout === 'number') ?
+        reqOptions.timeout : options.requestTimeout;
       var deferred = when_.defer();
-      msg.reqid = ++_reqid;
-      requests[msg.reqid] = deferred;
-      ws.send(JSON.stringify(msg), function ack(err) {
+      var reqid = msg.reqid = ++_reqid;
+      var request = requests[reqid] = { deferred: deferred, timer: null };
+      stats.adjust('organiq_websocket_outstanding_requests', {}, 1);
+
+      if (timeout > 0) {
+        request.timer = setTimeout(function() {
+          debug('Request ' + reqid + ' timed out after ' + timeout + 'ms.');
+          failRequest(reqid, new errors.TimeoutError(
+            'Request timed out after ' + timeout + 'ms.'));
+        }, timeout);
+        request.timer.unref();
+      }
+
+      send(msg, function ack(err) {
         if (err) {
-          delete requests[msg.reqid];
-          deferred.reject(err);
+          failRequest(reqid, err);
         }
       });
-      return deferred.promise;
+
+      var promise = deferred.promise;
+      promise.reqid = reqid;
+      promise.cancel = function cancel() {
+        return failRequest(reqid, new Error('Request cancelled.'));
+      };
+      return promise;
+    }
+
+    /**
+     * Remove an outstanding request, returning its deferred.
+     *
+     * @param {Number|String} reqid
+     * @returns {Deferred|null} the deferred for the request, or null if the
+     *  request is no longer outstanding (e.g., it timed out or was cancelled).
+     */
+    function completeRequest(reqid) {
+      var request = requests[reqid];
+      if (!request) {
+        return null;
+      }
+      delete requests[reqid];
+      stats.adjust('organiq_websocket_outstanding_requests', {}, -1);
+      clearTimeout(request.timer);
+      return request.deferred;
+    }
+
+    /**
+     * Reject an outstanding request.
+     *
+     * @param {Number|String} reqid
+     * @param {Error} err
+     * @returns {Boolean} true if the request was outstanding
+     */
+    function failRequest(reqid, err) {
+      var deferred = completeRequest(reqid);
+      if (!deferred) {
+        return false;
+      }
+      deferred.reject(err);
+      return true;
+    }
+
+    /**
+     * Send a message to the remote node.
+     *
+     * @param {Object} msg
+     * @param {function(Error=)} ack called when the message has been sent
+     */
+    function send(msg, ack) {
+      stats.increment('organiq_websocket_messages_total',
+        { direction: 'out', method: msg.method });
+      ws.send(JSON.stringify(msg), ack);
     }
 
     function sendResponse(req, res) {
       var msg = { reqid: req.reqid, deviceid: req.deviceid, method: 'RESPONSE',
                   success: true, res: res };
-      ws.send(JSON.stringify(msg));
+      sendReply(msg);
     }
 
     function sendFailureResponse(req, err) {
+      var error = errors.serialize(err);
       var msg = { reqid: req.reqid, deviceid: req.deviceid, method: 'RESPONSE',
-                  success: false, err: err };
+                  success: false, err: error.message, error: error };
       debug('request failed: ' + JSON.stringify(msg));
-      ws.send(JSON.stringify(msg));
+      sendReply(msg);
+    }
+
+    // The response to a forwarded request is kept so that a retry of the
+    // request can be answered with it.
+    function sendReply(msg) {
+      var entry = received[msg.reqid];
+      if (entry && entry.response === null) {
+        entry.response = msg;
+        entry.answeredAt = Date.now();
+      }
+      send(msg, ackResponse);
+    }
+
+    // The connection may close before a response can be sent, in which case
+    // there is no one left to receive it.
+    function ackResponse(err) {
+      if (err) {
+        debug('Failed to send response: ' + err);
+      }
     }
 
     /**
@@ -591,14 +1172,17 @@ function WebSocketApi(organiq, options) {
      * @params {object} msg
      */
     function handleResponse(msg) {
-      var deferred = requests[msg.reqid];
-      delete requests[msg.reqid];
+      var deferred = completeRequest(msg.reqid);
+      if (!deferred) {
+        debug('Ignoring response to unknown request: ' + msg.reqid);
+        return;
+      }
 
       if (msg.success) {
         deferred.resolve(msg.res);
       } else {
         debug('Request failed: ' + msg.err);
-        deferred.reject(new Error(msg.err));
+        deferred.reject(errors.deserialize(msg.error || msg.err));
       }
     }
 
@@ -612,10 +1196,13 @@ function WebSocketApi(organiq, options) {
      *
      * @param {String} deviceid
      * @param {LocalDeviceProxy} device
+     * @param {Boolean=} registered true if the device is being registered
+     *  with the remote node, in which case its messages are forwarded toward
+     *  the authoritative node and carry their path.
      * @returns {*} The connection id for the local proxy.
      * @private
      */
-    function connectLocalDevice(deviceid, device) {
+    function connectLocalDevice(deviceid, device, registered) {
 
       // Generate a new connection ID, which will be given to the remote node
       // to refer to this device connection.
@@ -623,29 +1210,39 @@ function WebSocketApi(organiq, options) {
 
       // Install handlers so that we can generate WebSocket protocol when
       // device-originated messages (NOTIFY and PUT) occur on the device.
+      // These are fire-and-forget, so failures are only logged.
       if (typeof device.on === 'function') {
-        device.on('notify', function (event, params) {
+        device.on('notify', function (event, params, context, meta) {
           var req = {
             method: 'NOTIFY', deviceid: deviceid, connid: connid,
-            identifier: event, value: params
+            identifier: event, value: params, context: context
           };
-          connection.sendRequest(req);
+          setMeta(req, meta);
+          if (registered) { setPath(req, context); }
+          connection.sendRequest(req).catch(logUpstreamFailure);
         });
-        device.on('put', function (metric, value) {
+        device.on('put', function (metric, value, context, meta) {
           var req = {
             method: 'PUT', deviceid: deviceid, connid: connid,
-            identifier: metric, value: value
+            identifier: metric, value: value, context: context
           };
-          connection.sendRequest(req);
+          setMeta(req, meta);
+          if (registered) { setPath(req, context); }
+          connection.sendRequest(req).catch(logUpstreamFailure);
         });
       }
 
       // Put the local device in the connection so we can find it to handle
       // future requests.
       devices[connid] = device;
+      deviceIds[connid] = deviceid;
       return connid;
     }
 
+    function logUpstreamFailure(err) {
+      debug('Upstream message failed: ' + err);
+    }
+
     /**
      * Disconnect the transport from the given proxy.
      *
@@ -660,6 +1257,7 @@ function WebSocketApi(organiq, options) {
       if (device) {
         device.removeAllListeners();
         delete devices[connid];
+        delete deviceIds[connid];
       }
       return device;
     }
@@ -670,7 +1268,7 @@ function WebSocketApi(organiq, options) {
         if (devices.hasOwnProperty(connid)) {
           var device = devices[connid];
           if (device.deviceid === deviceid) {
-            this.connection.disconnectLocalDevice(connid);
+            disconnectLocalDevice(connid);
             return connid;
           }
         }
@@ -728,54 +1326,104 @@ function WebSocketDeviceProxy(connection, deviceid, connid) {
     return new WebSocketDeviceProxy(connection, deviceid, connid);
   }
 
+  // The connection and connid are replaced if the proxy is rebuilt on a new
+  // connection after a gateway link reconnects.
+  this.connection = connection;
+  this.deviceid = deviceid;
+  this.connid = connid;
+  this.subscriptions = [];  // patterns subscribed with subscribe()
+
+  // Requests are validated against the device schema by the node to which
+  // the device is attached, so the local node need not fetch it.
+  this.remote = true;
+
   /**
    * Send a device request via WebSocket to the connected remote node.
    *
    * @param {String} method
    * @param {String} identifier
    * @param {object=} value
-   * @return {Promise}
+   * @param {Object=} options
+   * @param {Number=} options.timeout request timeout in milliseconds
+   * @param {Object=} options.context request context, forwarded to the remote
+   *  node. If it has a `deadline`, the request times out at the deadline.
+   * @return {Promise} promise for the result, with a `cancel()` method
    * @private
    */
-  this.sendRequest = function sendRequest(method, identifier, value) {
+  this.sendRequest = function sendRequest(method, identifier, value, options) {
     var req = {
       method: method,
-      deviceid: deviceid,
-      connid: connid,
+      deviceid: this.deviceid,
+      connid: this.connid,
       identifier: identifier
     };
     if (typeof value !== 'undefined') {
       req.value = value;
     }
 
-    return connection.sendRequest(req);
+    var context = options && options.context;
+    if (context) {
+      req.context = context;
+      if (context.deadline) {
+        var remaining = Math.max(context.deadline - Date.now(), 1);
+        options = { timeout: (typeof options.timeout === 'number') ?
+          Math.min(options.timeout, remaining) : remaining };
+      }
+    }
+
+    return this.connection.sendRequest(req, options);
   };
 }
 
 util.inherits(WebSocketDeviceProxy, EventEmitter);
 
-WebSocketDeviceProxy.prototype.get = function(prop) {
-  return this.sendRequest('GET', prop);
+/*
+ * Each of the device methods accepts an optional trailing `options` object
+ * (e.g., `{ timeout: 5000 }`), and returns a promise that can be abandoned
+ * with `promise.cancel()`. (The request is abandoned locally; it is not
+ * withdrawn from the remote node.)
+ */
+WebSocketDeviceProxy.prototype.get = function(prop, options) {
+  return this.sendRequest('GET', prop, undefined, options);
 };
 
-WebSocketDeviceProxy.prototype.set = function(prop, value) {
-  return this.sendRequest('SET', prop, value);
+WebSocketDeviceProxy.prototype.set = function(prop, value, options) {
+  return this.sendRequest('SET', prop, value, options);
 };
 
-WebSocketDeviceProxy.prototype.invoke = function(method, params) {
-  return this.sendRequest('INVOKE', method, params);
+WebSocketDeviceProxy.prototype.invoke = function(method, params, options) {
+  return this.sendRequest('INVOKE', method, params, options);
 };
 
-WebSocketDeviceProxy.prototype.subscribe = function(event) {
-  return this.sendRequest('SUBSCRIBE', event);
+WebSocketDeviceProxy.prototype.subscribe = function(event, options) {
+  var subscriptions = this.subscriptions;
+  return this.sendRequest('SUBSCRIBE', event, undefined, options)
+    .then(function(res) {
+      if (subscriptions.indexOf(event) === -1) {
+        subscriptions.push(event);
+      }
+      return res;
+    });
+};
+
+WebSocketDeviceProxy.prototype.unsubscribe = function(event, options) {
+  var subscriptions = this.subscriptions;
+  return this.sendRequest('UNSUBSCRIBE', event, undefined, options)
+    .then(function(res) {
+      var idx = subscriptions.indexOf(event);
+      if (idx > -1) {
+        subscriptions.splice(idx, 1);
+      }
+      return res;
+    });
 };
 
-WebSocketDeviceProxy.prototype.describe = function(property) {
-  return this.sendRequest('DESCRIBE', property);
+WebSocketDeviceProxy.prototype.describe = function(property, options) {
+  return this.sendRequest('DESCRIBE', property, undefined, options);
 };
 
-WebSocketDeviceProxy.prototype.config = function(property, value) {
-  return this.sendRequest('CONFIG', property, value);
+WebSocketDeviceProxy.prototype.config = function(property, value, options) {
+  return this.sendRequest('CONFIG', property, value, options);
 };
 
 
@@ -795,8 +1443,46 @@ WebSocketDeviceProxy.prototype.config = function(property, value) {
 function WebSocketGateway(connection) {
   this.connection = connection;
   this.sendRequest = connection.sendRequest;
+  this.proxies = [];  // WebSocketDeviceProxy objects returned by connect()
 }
 
+/**
+ * Bind the gateway to a new connection.
+ *
+ * This is used when a gateway link is re-established after the underlying
+ * WebSocket was lost. Every proxy previously returned from connect() is
+ * connected again over the new connection, and its subscriptions renewed, so
+ * that application code holding those proxies can continue to use them.
+ *
+ * @param {Object} connection
+ * @returns {Promise} a promise that resolves when all proxies are rebuilt
+ */
+WebSocketGateway.prototype.attach = function(connection) {
+  this.connection = connection;
+  this.sendRequest = connection.sendRequest;
+
+  return when_.all(this.proxies.map(function(proxy) {
+    var req = {
+      method: 'CONNECT',
+      deviceid: proxy.deviceid
+    };
+    connection.setPath(req);
+    return connection.sendRequest(req)
+      .then(function(connid) {
+        proxy.connection = connection;
+        proxy.connid = connid;
+        connection.registerProxyConnection(proxy.deviceid, proxy);
+        debug('Reconnected proxy for WebSocket device: ' + proxy.deviceid);
+        return when_.all(proxy.subscriptions.map(function(event) {
+          return proxy.sendRequest('SUBSCRIBE', event);
+        }));
+      })
+      .then(function() {
+        return proxy;
+      });
+  }));
+};
+
 /**
  * Get a proxy for a device for which this remote gateway is authoritative.
  *
@@ -807,22 +1493,27 @@ function WebSocketGateway(connection) {
  * communicate device requests with the authoritative node.
  *
  * @param {String} deviceid
+ * @param {Object=} context request context of the client, forwarded to the
+ *  authoritative node.
  * @returns {Promise|WebSocketDeviceProxy}
  */
-WebSocketGateway.prototype.connect = function(deviceid) {
+WebSocketGateway.prototype.connect = function(deviceid, context) {
   var connection = this.connection; // needed for sendRequest handler
+  var proxies = this.proxies;
   var req = {
     method: 'CONNECT',
     deviceid: deviceid
   };
+  if (context) {
+    req.context = context;
+  }
+  this.connection.setPath(req, context);
   return this.connection.sendRequest(req)
     .then(function(connid) {
       var proxy = new WebSocketDeviceProxy(connection, deviceid, connid);
-      // these are currently needed to do disconnect below
-      proxy.deviceid = deviceid;
-      proxy.connid = connid;
 
       connection.registerProxyConnection(deviceid, proxy);
+      proxies.push(proxy);
 
       debug('Client connected to WebSocket device: ' + deviceid);
 
@@ -837,6 +1528,10 @@ WebSocketGateway.prototype.connect = function(deviceid) {
  */
 WebSocketGateway.prototype.disconnect = function(proxy) {
   var connection = this.connection;
+  var idx = this.proxies.indexOf(proxy);
+  if (idx > -1) {
+    this.proxies.splice(idx, 1);
+  }
   var req = {
     method: 'DISCONNECT',
     deviceid: proxy.deviceid,
@@ -854,21 +1549,24 @@ WebSocketGateway.prototype.disconnect = function(proxy) {
  *
  * @param deviceid
  * @param device
+ * @param {Object=} context context of the registration, if it was forwarded
+ *  from another node (see Organiq.registerWithGateway()).
  * @return {Promise<String|Error>} A promise resolving to the deviceid used in
  *  the registration, or an Error on rejection.
  */
-WebSocketGateway.prototype.register = function(deviceid, device) {
+WebSocketGateway.prototype.register = function(deviceid, device, context) {
   // We are given a LocalDeviceProxy, which sits upstream of the device stack.
   // We will be able to invoke the get, set, etc methods when we receive
   // WebSocket commands to do so. In order to forward device-originated messages
   // to remote clients, we need to register device handlers.
-  var connid = this.connection.connectLocalDevice(deviceid, device);
+  var connid = this.connection.connectLocalDevice(deviceid, device, true);
 
   var req = {
     method: 'REGISTER',
     deviceid: deviceid,
     connid: connid
   };
+  this.connection.setPath(req, context);
   return this.connection.sendRequest(req);
 };
 
@@ -883,7 +1581,8 @@ WebSocketGateway.prototype.deregister = function(deviceid) {
 
   var connid = this.connection.disconnectLocalDeviceByDeviceId(deviceid);
   if (!connid) {
-    return when_.reject(new Error('device was not registered.'));
+    return when_.reject(
+      new errors.NotConnectedError('device was not registered.'));
   }
 
   var req = {
@@ -900,15 +1599,17 @@ WebSocketGateway.prototype.deregister = function(deviceid) {
  * @param deviceid
  * @param event
  * @param params
+ * @param {MessageMeta=} meta
  * @returns {Promise<Boolean|Error>}
  */
-WebSocketGateway.prototype.notify = function(deviceid, event, params) {
+WebSocketGateway.prototype.notify = function(deviceid, event, params, meta) {
   var req = {
     method: 'NOTIFY',
     deviceid: deviceid,
     identifier: event,
     params: params
   };
+  setMeta(req, meta);
   return this.connection.sendRequest(req);
 };
 
@@ -918,15 +1619,185 @@ WebSocketGateway.prototype.notify = function(deviceid, event, params) {
  * @param deviceid
  * @param metric
  * @param value
+ * @param {MessageMeta=} meta
  * @return {Promise<Boolean|Error>}
  */
-WebSocketGateway.prototype.put = function(deviceid, metric, value) {
+WebSocketGateway.prototype.put = function(deviceid, metric, value, meta) {
   var req = {
     method: 'PUT',
     deviceid: deviceid,
     identifier: metric,
     value: value
   };
+  setMeta(req, meta);
   return this.connection.sendRequest(req);
 };
 
+
+/**
+ * Gateway link that re-establishes itself when the WebSocket is lost.
+ *
+ * A single WebSocketGateway is registered with the local node for the life of
+ * this object. Whenever the underlying socket drops, a new one is created
+ * (with exponential backoff) and the gateway is bound to it. While the link
+ * is down, the gateway is unavailable for routing (see
+ * Organiq.setGatewayAvailable()), so requests fail over to any other gateway
+ * for its domains. Its routes, including any added for other domains through
+ * the core device, are kept. On reconnect, they are made available again, the
+ * local node re-registers its devices with the gateway, and proxies
+ * previously returned by the gateway's connect() are rebuilt so that
+ * application code may keep using them. The routes are removed when the link
+ * is closed or lost for good.
+ *
+ * var gw = app.websocketGateway(function() {
+ *   return new WebSocket('ws://gateway.example.com');
+ * }, { domain: '*' });
+ * gw.on('reconnected', function() { ... });
+ *
+ * Emits:
+ *  'reconnecting' (attempt, delay) - a new connection will be attempted
+ *  'reconnected' - the gateway link has been re-established
+ *  'gatewayLost' - reconnection attempts have been exhausted
+ *
+ * @param {Organiq} organiq
+ * @param {function(): WebSocket} createSocket factory that returns a new
+ *  (connecting) WebSocket each time it is invoked.
+ * @param {Object=} options
+ * @param {String=} options.domain domain for which the gateway is registered.
+ *  Default is '*'.
+ * @param {Number=} options.priority see WebSocketApi().
+ * @param {Number=} options.reconnectDelay initial delay before reconnecting,
+ *  in milliseconds. Default is one second.
+ * @param {Number=} options.maxReconnectDelay upper bound on the delay between
+ *  attempts, in milliseconds. Default is 30 seconds.
+ * @param {Number=} options.maxReconnectAttempts number of consecutive failed
+ *  attempts after which the gateway is considered lost. Default is unlimited.
+ * @param {*=} options.credential see WebSocketApi().
+ * @param {Number=} options.requestTimeout see WebSocketApi().
+ * @constructor
+ */
+function ReconnectingWebSocketGateway(organiq, createSocket, options) {
+  if (!(this instanceof ReconnectingWebSocketGateway)) {
+    return new ReconnectingWebSocketGateway(organiq, createSocket, options);
+  }
+  EventEmitter.call(this);
+  options = options || {};
+
+  this.organiq = organiq;
+  this.createSocket = createSocket;
+  this.reconnectDelay = options.reconnectDelay || 1000;
+  this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+  this.maxReconnectAttempts = options.maxReconnectAttempts || Infinity;
+  this.attempts = 0;        // consecutive failed connection attempts
+  this.connected = false;   // true if the gateway link is currently up
+  this.everConnected = false;
+  this.closed = false;      // true once close() has been called
+  this.ws = null;
+  this.timer = null;
+  this.stats = getStats(organiq);
+
+  this.gateway = new WebSocketGateway({ sendRequest: function() {
+    return when_.reject(
+      new errors.NotConnectedError('Gateway is not connected.'));
+  }});
+  this.handler = WebSocketApi(organiq, {
+    gateway: this.gateway,
+    domain: options.domain,
+    priority: options.priority,
+    credential: options.credential,
+    requestTimeout: options.requestTimeout
+  });
+
+  this.open();
+}
+util.inherits(ReconnectingWebSocketGateway, EventEmitter);
+
+/**
+ * Create a new WebSocket and attach it as the gateway link once it opens.
+ *
+ * @private
+ */
+ReconnectingWebSocketGateway.prototype.open = function() {
+  var self = this;
+  var ws = this.ws = this.createSocket();
+  var done = false;   // guards against both 'error' and 'close' firing
+
+  ws.on('open', function() {
+    var reconnected = self.everConnected;
+    self.attempts = 0;
+    self.connected = self.everConnected = true;
+    self.handler(ws);
+    if (reconnected) {
+      debug('Gateway link reconnected.');
+      self.stats.increment('organiq_websocket_reconnects_total');
+      self.emit('reconnected');
+    }
+  });
+  ws.on('close', lost);
+  ws.on('error', function(err) {
+    debug('Gateway link error: ' + err);
+    lost();
+  });
+
+  function lost() {
+    if (done) { return; }
+    done = true;
+    self.connected = false;
+    self.ws = null;
+    if (!self.closed) {
+      self.scheduleReconnect();
+    }
+  }
+};
+
+/**
+ * Schedule the next connection attempt, or give up if we have exhausted the
+ * allowed number of attempts.
+ *
+ * @private
+ */
+ReconnectingWebSocketGateway.prototype.scheduleReconnect = function() {
+  var self = this;
+  if (this.attempts >= this.maxReconnectAttempts) {
+    debug('Gateway link lost after ' + this.attempts + ' attempts.');
+    this.removeRoutes();
+    this.emit('gatewayLost');
+    return;
+  }
+
+  var delay = Math.min(this.reconnectDelay * Math.pow(2, this.attempts),
+                       this.maxReconnectDelay);
+  this.attempts++;
+  debug('Reconnecting gateway link in ' + delay + 'ms (attempt ' +
+    this.attempts + ').');
+  this.emit('reconnecting', this.attempts, delay);
+  this.timer = setTimeout(function() {
+    self.timer = null;
+    self.open();
+  }, delay);
+};
+
+/**
+ * Close the gateway link and stop reconnecting.
+ */
+ReconnectingWebSocketGateway.prototype.close = function() {
+  this.closed = true;
+  clearTimeout(this.timer);
+  this.removeRoutes();
+  if (this.ws) {
+    this.ws.close();
+  }
+};
+
+/**
+ * Deregister the gateway for every domain it has a route for.
+ *
+ * @private
+ */
+ReconnectingWebSocketGateway.prototype.removeRoutes = function() {
+  var organiq = this.organiq;
+  var gateway = this.gateway;
+  organiq.routes.getDomains(gateway).forEach(function(domain) {
+    organiq.deregisterGateway(domain, gateway);
+  });
+};